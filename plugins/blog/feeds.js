@@ -0,0 +1,58 @@
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const postUrl = (siteUrl, post) => `${siteUrl}/blog/${post.slug}`;
+
+// Feeds only carry the title and summary; the post itself lives on the site
+export const rssFeed = ({ site, siteUrl, posts }) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(`${site.title} — Blog`)}</title>`,
+    `    <link>${siteUrl}/blog</link>`,
+    `    <description>${escapeXml(site.description)}</description>`,
+    `    <atom:link href="${siteUrl}/rss.xml" rel="self" type="application/rss+xml" />`,
+    ...posts.flatMap((post) => [
+      "    <item>",
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${postUrl(siteUrl, post)}</link>`,
+      `      <guid isPermaLink="true">${postUrl(siteUrl, post)}</guid>`,
+      `      <pubDate>${new Date(post.date).toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(post.description)}</description>`,
+      ...post.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`),
+      "    </item>",
+    ]),
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+
+export const atomFeed = ({ site, siteUrl, posts }) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(`${site.title} — Blog`)}</title>`,
+    `  <id>${siteUrl}/blog</id>`,
+    `  <link href="${siteUrl}/blog" />`,
+    `  <link href="${siteUrl}/atom.xml" rel="self" />`,
+    `  <updated>${new Date(posts[0]?.date || Date.now()).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(site.name)}</name></author>`,
+    ...posts.flatMap((post) => [
+      "  <entry>",
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <id>${postUrl(siteUrl, post)}</id>`,
+      `    <link href="${postUrl(siteUrl, post)}" />`,
+      `    <published>${new Date(post.date).toISOString()}</published>`,
+      `    <updated>${new Date(post.date).toISOString()}</updated>`,
+      `    <summary>${escapeXml(post.description)}</summary>`,
+      ...post.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`),
+      "  </entry>",
+    ]),
+    "</feed>",
+    "",
+  ].join("\n");
@@ -0,0 +1,182 @@
+import fs from "fs";
+import path from "path";
+import mdx from "@mdx-js/rollup";
+import rehypeHighlight from "rehype-highlight";
+import remarkFrontmatter from "remark-frontmatter";
+import remarkGfm from "remark-gfm";
+import { parse as parseYaml } from "yaml";
+
+import { moduleSource } from "../content/index.js";
+import { validate } from "../content/validate.js";
+import { atomFeed, rssFeed } from "./feeds.js";
+
+const VIRTUAL_ID = "virtual:blog";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+const WORDS_PER_MINUTE = 200;
+
+const frontmatterSchema = {
+  type: "object",
+  properties: {
+    title: { type: "string", required: true },
+    description: { type: "string", required: true },
+    date: { type: "date", required: true },
+    tags: { type: "array", items: { type: "slug" }, required: true },
+    cover: { type: "image" },
+    // Slugs of the portfolio projects the post is about
+    projects: { type: "array", items: { type: "ref", collection: "projects", field: "slug" } },
+  },
+};
+
+const readingTime = (body) => Math.max(1, Math.round(body.split(/\s+/).filter(Boolean).length / WORDS_PER_MINUTE));
+
+/**
+ * Reads and validates every post in `dir`, newest first. Throws one error
+ * listing every problem found, like the content plugin.
+ */
+export const loadPosts = (root, dir) => {
+  const postsDir = path.resolve(root, dir);
+  const files = fs.existsSync(postsDir) ? fs.readdirSync(postsDir).filter((file) => file.endsWith(".mdx")) : [];
+  const errors = [];
+  const context = {
+    root,
+    errors,
+    assetsDir: path.resolve(root, "src/assets"),
+    collections: { projects: JSON.parse(fs.readFileSync(path.resolve(root, "src/content/projects.json"), "utf8")) },
+  };
+
+  const posts = files.map((file) => {
+    const source = fs.readFileSync(path.join(postsDir, file), "utf8");
+    const match = source.match(FRONTMATTER);
+    const slug = path.basename(file, ".mdx");
+    const postContext = { ...context, file: `${dir}/${file}` };
+
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(slug)) {
+      errors.push(`${postContext.file}: file names are post slugs and must be lowercase kebab-case`);
+    }
+    if (!match) {
+      errors.push(`${postContext.file}: missing frontmatter`);
+      return { slug, file: path.join(postsDir, file) };
+    }
+
+    let frontmatter = {};
+    try {
+      frontmatter = parseYaml(match[1]) || {};
+    } catch (error) {
+      errors.push(`${postContext.file}: invalid frontmatter: ${error.message}`);
+    }
+
+    return {
+      slug,
+      file: path.join(postsDir, file),
+      ...validate(frontmatter, frontmatterSchema, postContext),
+      projects: frontmatter.projects || [],
+      readingTime: readingTime(source.slice(match[0].length)),
+    };
+  });
+
+  if (errors.length) {
+    throw new Error(
+      `Invalid blog posts in ${dir} (${errors.length} problem${errors.length === 1 ? "" : "s"}):\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+
+  return posts.sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+};
+
+/**
+ * Compiles MDX posts in `src/content/blog` (GitHub-flavored Markdown,
+ * highlighted code blocks) and exposes them as `virtual:blog`: `posts`,
+ * newest first, with their frontmatter, `readingTime` in minutes and a
+ * `Content` component. Post bodies are split into their own chunks, except
+ * in the prerender build, which has to render them straight away. Builds
+ * also write `rss.xml` and `atom.xml` when `VITE_SITE_URL` is set.
+ */
+const blog = ({ dir = "src/content/blog" } = {}) => {
+  let config;
+  const root = () => config?.root || process.cwd();
+
+  const blogPlugin = {
+    name: "portfolio-blog",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id, options) {
+      if (id !== RESOLVED_ID) return null;
+
+      let posts;
+      try {
+        posts = loadPosts(root(), dir);
+      } catch (error) {
+        this.error(error.message);
+      }
+
+      this.addWatchFile(path.resolve(root(), dir));
+      posts.forEach((post) => this.addWatchFile(post.file));
+
+      const contentImports = posts.map((post, index) => {
+        const file = JSON.stringify(post.file.split(path.sep).join("/"));
+        return options?.ssr
+          ? `import Content${index} from ${file};`
+          : `const Content${index} = lazy(() => import(${file}));`;
+      });
+      const data = posts.map(({ file, ...post }) => post);
+
+      return [
+        'import { lazy } from "react";',
+        ...contentImports,
+        moduleSource({ postData: data }),
+        `const contents = [${posts.map((post, index) => `Content${index}`).join(", ")}];`,
+        "export const posts = postData.map((post, index) => ({ ...post, Content: contents[index] }));",
+        "",
+      ].join("\n");
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(path.resolve(root(), dir) + path.sep)) return undefined;
+
+      const blogModule = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (blogModule) {
+        server.moduleGraph.invalidateModule(blogModule);
+      }
+      server.ws.send({ type: "full-reload" });
+      return [];
+    },
+
+    generateBundle() {
+      if (config.command !== "build" || config.build.ssr) return;
+
+      const siteUrl = (config.env.VITE_SITE_URL || "").replace(/\/+$/, "");
+      if (!siteUrl) {
+        config.logger.warn("VITE_SITE_URL is not set: skipped rss.xml and atom.xml");
+        return;
+      }
+
+      const site = JSON.parse(fs.readFileSync(path.resolve(root(), "src/content/site.json"), "utf8"));
+      const posts = loadPosts(root(), dir);
+      this.emitFile({ type: "asset", fileName: "rss.xml", source: rssFeed({ site, siteUrl, posts }) });
+      this.emitFile({ type: "asset", fileName: "atom.xml", source: atomFeed({ site, siteUrl, posts }) });
+    },
+  };
+
+  return [
+    {
+      enforce: "pre",
+      ...mdx({
+        remarkPlugins: [remarkFrontmatter, remarkGfm],
+        rehypePlugins: [rehypeHighlight],
+      }),
+    },
+    blogPlugin,
+  ];
+};
+
+export default blog;
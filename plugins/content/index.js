@@ -0,0 +1,165 @@
+import fs from "fs";
+import path from "path";
+
+import { schemas } from "./schema.js";
+import { localize, validate, validateLocale } from "./validate.js";
+
+const VIRTUAL_ID = "virtual:content";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+const readTagColors = (cssFile) => {
+  const css = fs.readFileSync(cssFile, "utf8");
+  return [...css.matchAll(/\.([\w-]+-text-gradient)\s*\{/g)].map((match) => match[1]);
+};
+
+/**
+ * Module source declaring one `export const` per entry of `values`, with the
+ * image markers left by `validate` swapped for real asset imports.
+ */
+export const moduleSource = (values) => {
+  const images = new Map();
+  const imageFor = (file) => {
+    if (!images.has(file)) images.set(file, `image${images.size}`);
+    return images.get(file);
+  };
+
+  const exports = Object.entries(values).map(([name, value]) => {
+    const code = JSON.stringify(value, null, 2).replace(
+      /\{\s*"__image": ("(?:[^"\\]|\\.)*")\s*\}/g,
+      (_, file) => imageFor(JSON.parse(file))
+    );
+    return `export const ${name} = ${code};`;
+  });
+
+  const imports = [...images].map(
+    ([file, id]) => `import ${id} from ${JSON.stringify(file.split(path.sep).join("/"))};`
+  );
+
+  return `${imports.join("\n")}\n\n${exports.join("\n\n")}\n`;
+};
+
+/**
+ * Loads every collection in `src/content`, validates it and returns the
+ * module source, or throws an error listing every problem found.
+ */
+export const buildContentModule = (root) => {
+  const contentDir = path.resolve(root, "src/content");
+  const assetsDir = path.resolve(root, "src/assets");
+  const errors = [];
+
+  const collections = {};
+  Object.keys(schemas).forEach((name) => {
+    const file = path.join(contentDir, `${name}.json`);
+
+    try {
+      collections[name] = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      errors.push(`${name}.json: ${error.code === "ENOENT" ? "file is missing" : error.message}`);
+    }
+  });
+
+  const context = {
+    root,
+    assetsDir,
+    collections,
+    errors,
+    tagColors: readTagColors(path.resolve(root, "src/index.css")),
+  };
+
+  const validated = {};
+  Object.entries(collections).forEach(([name, value]) => {
+    validated[name] = validate(value, schemas[name], { ...context, file: `${name}.json` });
+  });
+
+  const localesDir = path.join(contentDir, "locales");
+  const localeFiles = fs.existsSync(localesDir)
+    ? fs.readdirSync(localesDir).filter((file) => file.endsWith(".json"))
+    : [];
+
+  const overrides = {};
+  localeFiles.forEach((file) => {
+    const locale = path.basename(file, ".json");
+
+    try {
+      overrides[locale] = JSON.parse(fs.readFileSync(path.join(localesDir, file), "utf8"));
+      validateLocale(overrides[locale], schemas, { ...context, file: `locales/${file}` });
+    } catch (error) {
+      errors.push(`locales/${file}: ${error.message}`);
+    }
+  });
+
+  if (errors.length) {
+    throw new Error(
+      `Invalid portfolio content in src/content (${errors.length} problem${
+        errors.length === 1 ? "" : "s"
+      }):\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+  }
+
+  // Translated collections are complete copies, so the app only has to pick one
+  const contentLocales = Object.fromEntries(
+    Object.entries(overrides).map(([locale, value]) => [locale, localize(validated, value, schemas)])
+  );
+
+  return {
+    code: moduleSource({ ...validated, contentLocales }),
+    files: [
+      ...Object.keys(schemas).map((name) => path.join(contentDir, `${name}.json`)),
+      ...localeFiles.map((file) => path.join(localesDir, file)),
+    ],
+  };
+};
+
+/**
+ * Exposes `src/content/*.json` as `virtual:content`, validated against
+ * `./schema.js`. `contentLocales` holds, per locale in `src/content/locales`,
+ * the collections with their translations applied. Invalid content fails the build (and shows the Vite error
+ * overlay in dev) with one line per problem.
+ */
+const content = () => {
+  let root = process.cwd();
+
+  return {
+    name: "portfolio-content",
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      try {
+        const { code, files } = buildContentModule(root);
+        files.forEach((file) => this.addWatchFile(file));
+        return code;
+      } catch (error) {
+        this.error(error.message);
+      }
+    },
+
+    handleHotUpdate({ file, server }) {
+      const isContent = file.startsWith(path.resolve(root, "src/content") + path.sep);
+      // Tag colors come from the stylesheet, so it affects validation as well
+      const isStylesheet = file === path.resolve(root, "src/index.css");
+      if (!isContent && !isStylesheet) return undefined;
+
+      const contentModule = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (contentModule) {
+        server.moduleGraph.invalidateModule(contentModule);
+      }
+
+      if (isContent) {
+        server.ws.send({ type: "full-reload" });
+        return [];
+      }
+      return undefined;
+    },
+  };
+};
+
+export default content;
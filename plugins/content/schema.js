@@ -0,0 +1,163 @@
+// Schemas for the JSON files in `src/content`. Field types understood by the
+// validator in `./validate.js`:
+//   string, url, hexColor, image (path under `src/assets`), tagColor (a
+//   `*-text-gradient` class from `src/index.css`), month ("2023-01"),
+//   date ("2024-05-01"), slug ("kebab-case"), enum (one of `values`), ref (the id,
+//   or another `field`, of an entry in another collection), array (`uniqueBy`
+//   rejects duplicate values of a field, `minItems` sets a minimum length),
+//   object (`check` returns a message when fields do not fit together).
+//
+// `key` names the field that identifies an entry in the per-locale overrides
+// under `src/content/locales`, for collections and for lists nested in them.
+
+const tag = {
+  type: "object",
+  properties: {
+    name: { type: "string", required: true },
+    color: { type: "tagColor", required: true },
+  },
+};
+
+export const schemas = {
+  // Who the site is about, for page metadata and structured data; not localized
+  site: {
+    type: "object",
+    properties: {
+      name: { type: "string", required: true },
+      title: { type: "string", required: true },
+      jobTitle: { type: "string", required: true },
+      description: { type: "string", required: true },
+      image: { type: "image", required: true },
+      sameAs: { type: "array", items: { type: "url" } },
+    },
+  },
+  services: {
+    type: "array",
+    key: "id",
+    uniqueBy: "id",
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string", required: true },
+        title: { type: "string", required: true },
+        icon: { type: "image", required: true },
+      },
+    },
+  },
+  techCategories: {
+    type: "array",
+    key: "id",
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "string", required: true },
+        title: { type: "string", required: true },
+      },
+    },
+  },
+  technologies: {
+    type: "array",
+    key: "name",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string", required: true },
+        icon: { type: "image", required: true },
+        category: { type: "ref", collection: "techCategories", required: true },
+      },
+    },
+  },
+  experiences: {
+    type: "array",
+    key: "id",
+    uniqueBy: "id",
+    items: {
+      type: "object",
+      properties: {
+        id: { type: "slug", required: true },
+        company_name: { type: "string", required: true },
+        kind: { type: "enum", values: ["employment", "freelance", "education"], required: true },
+        icon: { type: "image", required: true },
+        iconBg: { type: "hexColor", required: true },
+        // Every position held there; roles without an `end` are current
+        roles: {
+          type: "array",
+          key: "start",
+          uniqueBy: "start",
+          minItems: 1,
+          required: true,
+          items: {
+            type: "object",
+            properties: {
+              title: { type: "string", required: true },
+              start: { type: "month", required: true },
+              end: { type: "month" },
+              points: { type: "array", items: { type: "string" }, required: true },
+              stack: {
+                type: "array",
+                items: { type: "ref", collection: "technologies", field: "name" },
+              },
+            },
+            // Months as "YYYY-MM" compare correctly as strings
+            check: ({ start, end }) =>
+              typeof start === "string" && typeof end === "string" && end < start
+                ? `ends (${end}) before it starts (${start})`
+                : null,
+          },
+        },
+      },
+    },
+  },
+
+  testimonials: {
+    type: "array",
+    key: "name",
+    items: {
+      type: "object",
+      properties: {
+        testimonial: { type: "string", required: true },
+        name: { type: "string", required: true },
+        designation: { type: "string" },
+        company: { type: "string" },
+        image: { type: "image" },
+      },
+    },
+  },
+  projects: {
+    type: "array",
+    key: "slug",
+    uniqueBy: "slug",
+    items: {
+      type: "object",
+      properties: {
+        slug: { type: "slug", required: true },
+        name: { type: "string", required: true },
+        description: { type: "string", required: true },
+        tags: { type: "array", items: tag, required: true },
+        image: { type: "image", required: true },
+        image_alt: { type: "string", required: true },
+        live_demo_link: { type: "url" },
+        source_code_link: { type: "url" },
+        case_study: {
+          type: "object",
+          properties: {
+            problem: { type: "string", required: true },
+            solution: { type: "string", required: true },
+            stack: { type: "array", items: { type: "string" } },
+            screenshots: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  image: { type: "image", required: true },
+                  caption: { type: "string", required: true },
+                },
+              },
+            },
+            outcomes: { type: "array", items: { type: "string" } },
+          },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,306 @@
+import fs from "fs";
+import path from "path";
+
+const MONTH = /^\d{4}-(?:0[1-9]|1[0-2])$/;
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const typeOf = (value) => (Array.isArray(value) ? "array" : value === null ? "null" : typeof value);
+
+const formatPath = (segments) =>
+  segments.reduce(
+    (result, segment) =>
+      typeof segment === "number" ? `${result}[${segment}]` : result ? `${result}.${segment}` : segment,
+    ""
+  );
+
+/**
+ * Validates `value` against `schema`, pushing readable messages to
+ * `context.errors`. Returns a copy of the value in which every image path is
+ * replaced by `{ __image: "<absolute path>" }` so the module generator can
+ * turn it into an asset import.
+ */
+export const validate = (value, schema, context, segments = []) => {
+  const fail = (message) => {
+    context.errors.push(`${context.file} › ${formatPath(segments) || "(root)"}: ${message}`);
+    return value;
+  };
+
+  switch (schema.type) {
+    case "array": {
+      if (!Array.isArray(value)) return fail(`expected an array, got ${typeOf(value)}`);
+      if (schema.minItems && value.length < schema.minItems) {
+        return fail(`expected at least ${schema.minItems} ${schema.minItems === 1 ? "entry" : "entries"}`);
+      }
+
+      if (schema.uniqueBy) {
+        const seen = new Map();
+        value.forEach((item, index) => {
+          const key = item?.[schema.uniqueBy];
+          if (key === undefined) return;
+          if (seen.has(key)) {
+            context.errors.push(
+              `${context.file} › ${formatPath([...segments, index, schema.uniqueBy])}: ` +
+                `duplicate ${JSON.stringify(key)} (already used by [${seen.get(key)}])`
+            );
+          } else {
+            seen.set(key, index);
+          }
+        });
+      }
+
+      return value.map((item, index) => validate(item, schema.items, context, [...segments, index]));
+    }
+
+    case "object": {
+      if (typeOf(value) !== "object") return fail(`expected an object, got ${typeOf(value)}`);
+
+      const result = {};
+      Object.keys(value).forEach((key) => {
+        if (!schema.properties[key]) {
+          context.errors.push(
+            `${context.file} › ${formatPath([...segments, key])}: unknown field ` +
+              `(expected one of ${Object.keys(schema.properties).join(", ")})`
+          );
+        }
+      });
+
+      Object.entries(schema.properties).forEach(([key, property]) => {
+        if (value[key] === undefined || value[key] === null) {
+          if (property.required) {
+            context.errors.push(`${context.file} › ${formatPath([...segments, key])}: is required`);
+          } else if (key in value) {
+            result[key] = value[key];
+          }
+          return;
+        }
+
+        result[key] = validate(value[key], property, context, [...segments, key]);
+      });
+
+      // Rules that span several fields, e.g. an end that must not come before the start
+      const problem = schema.check?.(value);
+      if (problem) fail(problem);
+
+      return result;
+    }
+
+    case "string":
+      if (typeof value !== "string" || !value.trim()) return fail("expected a non-empty string");
+      return value;
+
+    case "url":
+      try {
+        const url = new URL(value);
+        if (!["http:", "https:"].includes(url.protocol)) throw new Error();
+      } catch (error) {
+        return fail(`expected an http(s) URL, got ${JSON.stringify(value)}`);
+      }
+      return value;
+
+    case "slug":
+      if (typeof value !== "string" || !SLUG.test(value)) {
+        return fail(`expected a lowercase kebab-case slug, got ${JSON.stringify(value)}`);
+      }
+      return value;
+
+    case "hexColor":
+      if (!HEX_COLOR.test(value)) return fail(`expected a hex color like "#383E56", got ${JSON.stringify(value)}`);
+      return value;
+
+    case "tagColor":
+      if (!context.tagColors.includes(value)) {
+        return fail(
+          `unknown tag color ${JSON.stringify(value)} (defined in src/index.css: ${context.tagColors.join(", ")})`
+        );
+      }
+      return value;
+
+    case "month":
+      if (typeof value !== "string" || !MONTH.test(value)) {
+        return fail(`expected a month like "2023-01", got ${JSON.stringify(value)}`);
+      }
+      return value;
+
+    case "enum":
+      if (!schema.values.includes(value)) {
+        return fail(`expected one of ${schema.values.join(", ")}, got ${JSON.stringify(value)}`);
+      }
+      return value;
+
+    case "date": {
+      if (typeof value !== "string" || !ISO_DATE.test(value)) {
+        return fail(`expected a date like "2024-05-01", got ${JSON.stringify(value)}`);
+      }
+
+      // Out-of-range parts such as "2024-13-01" give an invalid date, and
+      // `toISOString` throws on those; rolled over days such as "2024-02-30" do not match
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return fail(`${JSON.stringify(value)} is not a real date`);
+      }
+      return value;
+    }
+
+    case "image": {
+      if (typeof value !== "string") return fail(`expected an image path, got ${typeOf(value)}`);
+
+      const file = path.resolve(context.assetsDir, value);
+      if (!file.startsWith(context.assetsDir + path.sep)) {
+        return fail(`image ${JSON.stringify(value)} must be inside src/assets`);
+      }
+      if (!fs.existsSync(file)) {
+        return fail(`missing image ${JSON.stringify(value)} (looked for ${path.relative(context.root, file)})`);
+      }
+      return { __image: file };
+    }
+
+    case "ref": {
+      const field = schema.field || "id";
+      const ids = (context.collections[schema.collection] || []).map((entry) => entry?.[field]);
+      if (!ids.includes(value)) {
+        return fail(
+          `unknown ${schema.collection} ${field} ${JSON.stringify(value)} (expected one of ${ids.join(", ")})`
+        );
+      }
+      return value;
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+};
+
+// Only text can be translated; images, links, ids and colors stay shared. Lists
+// of objects with a `key` are translated entry by entry, like collections.
+const isTranslatable = (schema) =>
+  schema.type === "string" ||
+  (schema.type === "array" && schema.items.type === "string") ||
+  (schema.type === "array" && Boolean(schema.key) && isTranslatable(schema.items)) ||
+  (schema.type === "object" && Object.values(schema.properties).some(isTranslatable));
+
+// `base` is the untranslated value at the same place, for checking keyed entries exist
+const validateOverride = (value, schema, context, segments, base) => {
+  const fail = (message) =>
+    context.errors.push(`${context.file} › ${formatPath(segments)}: ${message}`);
+
+  if (!isTranslatable(schema)) {
+    fail(`${schema.type} fields cannot be localized`);
+    return;
+  }
+
+  if (schema.type === "array" && schema.key) {
+    if (typeOf(value) !== "object") {
+      fail(`expected an object keyed by ${schema.key}`);
+      return;
+    }
+
+    Object.entries(value).forEach(([key, fields]) => {
+      const entry = (Array.isArray(base) ? base : []).find((item) => String(item?.[schema.key]) === key);
+      if (!entry) {
+        fail(`no entry with ${schema.key} ${JSON.stringify(key)}`);
+        return;
+      }
+      if (typeOf(fields) === "object" && schema.key in fields) {
+        fail(`${key}.${schema.key} identifies the entry and cannot be localized`);
+      }
+      validateOverride(fields, schema.items, context, [...segments, key], entry);
+    });
+    return;
+  }
+
+  if (schema.type !== "object") {
+    validate(value, schema, context, segments);
+    return;
+  }
+
+  if (typeOf(value) !== "object") {
+    fail(`expected an object, got ${typeOf(value)}`);
+    return;
+  }
+
+  Object.entries(value).forEach(([key, item]) => {
+    if (!schema.properties[key]) {
+      fail(`unknown field "${key}" (expected one of ${Object.keys(schema.properties).join(", ")})`);
+      return;
+    }
+    validateOverride(item, schema.properties[key], context, [...segments, key], base?.[key]);
+  });
+};
+
+/**
+ * Validates a locale file: `{ [collection]: { [entry key]: { ...fields } } }`.
+ * Every entry must exist in the base collection and only translatable fields
+ * may be overridden; anything left out falls back to the base content.
+ */
+export const validateLocale = (value, schemas, context) => {
+  if (typeOf(value) !== "object") {
+    context.errors.push(`${context.file}: expected an object of collections`);
+    return;
+  }
+
+  Object.entries(value).forEach(([name, entries]) => {
+    const schema = schemas[name];
+    if (!schema) {
+      context.errors.push(`${context.file} › ${name}: unknown collection`);
+      return;
+    }
+    if (schema.type !== "array") {
+      context.errors.push(`${context.file} › ${name}: only list collections can be localized`);
+      return;
+    }
+    if (typeOf(entries) !== "object") {
+      context.errors.push(`${context.file} › ${name}: expected an object keyed by ${schema.key}`);
+      return;
+    }
+
+    const keys = (context.collections[name] || []).map((entry) => entry?.[schema.key]);
+    Object.entries(entries).forEach(([key, fields]) => {
+      if (!keys.includes(key)) {
+        context.errors.push(
+          `${context.file} › ${name}.${key}: no ${name} entry with ${schema.key} ${JSON.stringify(key)}`
+        );
+        return;
+      }
+      if (typeOf(fields) === "object" && schema.key in fields) {
+        context.errors.push(
+          `${context.file} › ${name}.${key}.${schema.key}: identifies the entry and cannot be localized`
+        );
+      }
+      const entry = context.collections[name].find((item) => item?.[schema.key] === key);
+      validateOverride(fields, schema.items, context, [name, key], entry);
+    });
+  });
+};
+
+const mergeOverride = (value, override, schema) => {
+  if (schema?.type === "array" && schema.key && Array.isArray(value)) {
+    return value.map((item) => {
+      const entry = override[item[schema.key]];
+      return entry ? mergeOverride(item, entry, schema.items) : item;
+    });
+  }
+  if (typeOf(value) !== "object" || typeOf(override) !== "object") return override;
+
+  const result = { ...value };
+  Object.entries(override).forEach(([key, item]) => {
+    result[key] = mergeOverride(value[key], item, schema?.properties?.[key]);
+  });
+  return result;
+};
+
+/**
+ * Applies a validated locale file to the validated collections, returning a
+ * full copy of every collection it touches.
+ */
+export const localize = (collections, overrides, schemas) =>
+  Object.fromEntries(
+    Object.entries(overrides).map(([name, entries]) => [
+      name,
+      collections[name].map((entry) => {
+        const override = entries[entry[schemas[name].key]];
+        return override ? mergeOverride(entry, override, schemas[name].items) : entry;
+      }),
+    ])
+  );
@@ -0,0 +1,187 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { optimizeModel } from "./optimize.js";
+import { POSTER_FILES, findPoster, planPoster, posterAttributes, posterSize, renderVariant } from "./poster.js";
+
+const VIRTUAL_ID = "virtual:models";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const SCENE_FILE = "scene.gltf";
+
+const listFiles = (dir) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+
+// The build pipeline itself, so changing it invalidates what it cached
+const PIPELINE_FILES = ["optimize.js", "repair.js"].map((file) => new URL(file, import.meta.url));
+
+// Keyed on every file in the model folder, so edits to textures count too
+const hashModel = (dir) => {
+  const hash = crypto.createHash("sha256");
+  PIPELINE_FILES.forEach((file) => hash.update(fs.readFileSync(file)));
+  listFiles(dir)
+    .sort()
+    .forEach((file) => {
+      hash.update(path.relative(dir, file));
+      hash.update(fs.readFileSync(file));
+    });
+  return hash.digest("hex").slice(0, 16);
+};
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(2)} MB` : `${(bytes / 1024).toFixed(1)} kB`;
+
+/**
+ * Exposes the glTF models in `models/<name>/scene.gltf` as `virtual:models`,
+ * a map of model name to URL. In a build each model is optimized into a
+ * content-hashed GLB (see `./optimize.js`, cached under
+ * `node_modules/.cache/models`) and a size report is printed; the dev server
+ * serves the source files untouched.
+ *
+ * A still render committed as `models/<name>/poster.png` (see `./poster.js`)
+ * comes through as `posters[name]`: the attributes of a responsive `<img>`,
+ * with WebP variants in a build.
+ */
+const models = ({ dir = "models" } = {}) => {
+  let root = process.cwd();
+  let base = "/";
+  let isBuild = false;
+  let isSsr = false;
+  let logger = console;
+
+  const modelsDir = () => path.resolve(root, dir);
+  const modelNames = () =>
+    fs
+      .readdirSync(modelsDir(), { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() && fs.existsSync(path.join(modelsDir(), entry.name, SCENE_FILE)))
+      .map((entry) => entry.name);
+
+  const optimizeCached = async (name) => {
+    const source = path.join(modelsDir(), name);
+    const cacheDir = path.resolve(root, "node_modules/.cache/models");
+    const cacheFile = path.join(cacheDir, `${name}-${hashModel(source)}.glb`);
+    const sizesFile = `${cacheFile}.json`;
+
+    if (fs.existsSync(cacheFile) && fs.existsSync(sizesFile)) {
+      return { glb: fs.readFileSync(cacheFile), ...JSON.parse(fs.readFileSync(sizesFile, "utf8")), cached: true };
+    }
+
+    const { glb, before, after, removed } = await optimizeModel(path.join(source, SCENE_FILE));
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(cacheFile, glb);
+    fs.writeFileSync(sizesFile, JSON.stringify({ before, after, removed }));
+    return { glb, before, after, removed, cached: false };
+  };
+
+  return {
+    name: "portfolio-models",
+
+    configResolved(config) {
+      root = config.root;
+      base = config.base;
+      // The prerender build never draws a scene, so it gets the source URLs and nothing is emitted twice
+      isBuild = config.command === "build" && !config.build.ssr;
+      // It does render posters, so it gets the same poster URLs as the client build
+      isSsr = config.command === "build" && Boolean(config.build.ssr);
+      logger = config.logger;
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      const names = modelNames();
+      names.forEach((name) => this.addWatchFile(path.join(modelsDir(), name, SCENE_FILE)));
+
+      const posters = {};
+      for (const name of names) {
+        const file = findPoster(path.join(modelsDir(), name));
+        if (!file) continue;
+        this.addWatchFile(file);
+
+        if (!isBuild && !isSsr) {
+          posters[name] = { src: `/${dir}/${name}/${path.basename(file)}`, ...(await posterSize(file)) };
+          continue;
+        }
+
+        const plan = await planPoster(file, `${dir}/${name}`);
+        if (isBuild) {
+          for (const { fileName, width } of plan.variants) {
+            this.emitFile({ type: "asset", fileName, source: await renderVariant(file, width) });
+          }
+        }
+        posters[name] = posterAttributes(plan, base);
+      }
+      const postersExport = `export const posters = ${JSON.stringify(posters, null, 2)};\n`;
+
+      if (!isBuild) {
+        const urls = Object.fromEntries(names.map((name) => [name, `/${dir}/${name}/${SCENE_FILE}`]));
+        return `export default ${JSON.stringify(urls, null, 2)};\n${postersExport}`;
+      }
+
+      const entries = [];
+      const report = [];
+
+      for (const name of names) {
+        const source = path.join(modelsDir(), name);
+
+        // Attribution travels with the model
+        const license = path.join(source, "license.txt");
+        if (fs.existsSync(license)) {
+          this.emitFile({ type: "asset", fileName: `${dir}/${name}/license.txt`, source: fs.readFileSync(license) });
+        }
+
+        try {
+          const { glb, before, after, removed = [], cached } = await optimizeCached(name);
+          removed.forEach(({ mesh, attributes }) => {
+            this.warn(`${dir}/${name}: removed a primitive of ${mesh} with non-finite ${Object.keys(attributes).join(", ")}`);
+          });
+          const ref = this.emitFile({ type: "asset", name: `${name}.glb`, source: glb });
+
+          entries.push(`  ${JSON.stringify(name)}: import.meta.ROLLUP_FILE_URL_${ref},`);
+          report.push({ name, before, after, cached });
+        } catch (error) {
+          // Ship the sources as they are so the canvas still gets its chance
+          this.warn(`Could not optimize ${dir}/${name}, shipping it unoptimized: ${error.message}`);
+
+          let sceneRef = null;
+          listFiles(source)
+            .filter((file) => file !== license && !POSTER_FILES.includes(path.basename(file)))
+            .forEach((file) => {
+              const ref = this.emitFile({
+                type: "asset",
+                fileName: path.posix.join(dir, name, path.relative(source, file).split(path.sep).join("/")),
+                source: fs.readFileSync(file),
+              });
+              if (path.basename(file) === SCENE_FILE) sceneRef = ref;
+            });
+
+          entries.push(`  ${JSON.stringify(name)}: import.meta.ROLLUP_FILE_URL_${sceneRef},`);
+          report.push({ name, failed: true });
+        }
+      }
+
+      logger.info(`\nModel sizes (${dir}/):`);
+      report.forEach(({ name, before, after, cached, failed }) => {
+        const poster = posters[name] ? `, poster ${posters[name].width}x${posters[name].height}` : ", no poster";
+        logger.info(
+          failed
+            ? `  ${name}: not optimized${poster}`
+            : `  ${name}: ${formatSize(before)} -> ${formatSize(after)} (${Math.round(
+                (1 - after / before) * 100
+              )}% smaller${cached ? ", cached" : ""}${poster})`
+        );
+      });
+
+      return `export default {\n${entries.join("\n")}\n};\n${postersExport}`;
+    },
+  };
+};
+
+export default models;
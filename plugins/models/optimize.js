@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+
+import { Logger, NodeIO } from "@gltf-transform/core";
+import { ALL_EXTENSIONS } from "@gltf-transform/extensions";
+import { dedup, meshopt, prune, textureCompress, weld } from "@gltf-transform/functions";
+import { MeshoptDecoder, MeshoptEncoder } from "meshoptimizer";
+import sharp from "sharp";
+
+import { repairGeometry } from "./repair.js";
+
+// Largest texture edge kept; the scenes never fill more than part of the screen
+const MAX_TEXTURE_SIZE = 2048;
+
+// Everything the model pulls in: the .gltf itself plus its buffers and images
+const sourceSize = (file) => {
+  const json = JSON.parse(fs.readFileSync(file, "utf8"));
+  const uris = [...(json.buffers || []), ...(json.images || [])]
+    .map((entry) => entry.uri)
+    .filter((uri) => uri && !uri.startsWith("data:"));
+
+  return uris.reduce(
+    (total, uri) => total + fs.statSync(path.resolve(path.dirname(file), decodeURI(uri))).size,
+    fs.statSync(file).size
+  );
+};
+
+/**
+ * Runs the build-time pipeline over `document`: broken geometry is dropped
+ * first (see `./repair.js`), then geometry is compressed with meshopt, which
+ * three's GLTFLoader decodes without fetching a separate decoder the way
+ * Draco does. Textures are re-encoded as WebP rather than KTX2, whose encoder
+ * is a native CLI (`toktx`) that cannot be installed through npm. Resolves
+ * with what the repair removed.
+ */
+export const optimizeDocument = async (document) => {
+  await MeshoptEncoder.ready;
+
+  const removed = [];
+  await document.transform(
+    repairGeometry(removed),
+    dedup(),
+    prune(),
+    weld(),
+    textureCompress({
+      encoder: sharp,
+      targetFormat: "webp",
+      resize: [MAX_TEXTURE_SIZE, MAX_TEXTURE_SIZE],
+    }),
+    meshopt({ encoder: MeshoptEncoder, level: "medium" })
+  );
+
+  return removed;
+};
+
+// Reads the sources as well as optimized output, which tests load back
+export const createIO = () =>
+  new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({ "meshopt.encoder": MeshoptEncoder, "meshopt.decoder": MeshoptDecoder });
+
+/**
+ * Optimizes the model in `file` (see `optimizeDocument`) into a single GLB.
+ * Returns it along with its size before and after and the `removed` geometry.
+ */
+export const optimizeModel = async (file) => {
+  const io = createIO();
+  const document = await io.read(file);
+  document.setLogger(new Logger(Logger.Verbosity.WARN));
+  const removed = await optimizeDocument(document);
+
+  const glb = await io.writeBinary(document);
+
+  return { glb, before: sourceSize(file), after: glb.byteLength, removed };
+};
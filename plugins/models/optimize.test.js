@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { Document } from "@gltf-transform/core";
+import { dequantize } from "@gltf-transform/functions";
+import { MeshoptDecoder } from "meshoptimizer";
+
+import { scanMeshes } from "../../src/lib/models/scan.js";
+import { createIO, optimizeDocument } from "./optimize.js";
+
+const triangle = (document, buffer, name, positions) => {
+  const position = document
+    .createAccessor()
+    .setType("VEC3")
+    .setArray(new Float32Array(positions))
+    .setBuffer(buffer);
+  const primitive = document.createPrimitive().setAttribute("POSITION", position);
+  const mesh = document.createMesh(name).addPrimitive(primitive);
+  return document.createNode(name).setMesh(mesh);
+};
+
+// Decodes and dequantizes a GLB, then scans it the way the browser does
+const scanGlb = async (glb) => {
+  await MeshoptDecoder.ready;
+  const document = await createIO().readBinary(glb);
+  await document.transform(dequantize());
+
+  const meshes = document
+    .getRoot()
+    .listMeshes()
+    .flatMap((mesh) => mesh.listPrimitives())
+    .map((primitive) => ({
+      attributes: Object.fromEntries(
+        primitive.listSemantics().map((semantic) => [semantic, primitive.getAttribute(semantic).getArray()])
+      ),
+    }));
+
+  return { names: document.getRoot().listMeshes().map((mesh) => mesh.getName()), scanned: scanMeshes(meshes) };
+};
+
+test("removes broken geometry before meshopt quantizes it", async () => {
+  const document = new Document();
+  const buffer = document.createBuffer();
+  const scene = document.createScene();
+  scene.addChild(triangle(document, buffer, "desk", [0, 0, 0, 1, 0, 0, 0, 1, 0]));
+  scene.addChild(triangle(document, buffer, "broken", [0, 0, 0, NaN, 0, 0, 0, Infinity, 0]));
+
+  const removed = await optimizeDocument(document);
+  assert.deepEqual(removed, [{ mesh: "broken", attributes: { POSITION: 2 } }]);
+
+  const glb = await createIO().writeBinary(document);
+  const { names, scanned } = await scanGlb(glb);
+
+  assert.deepEqual(names, ["desk"]);
+  assert.deepEqual(scanned, [{}]);
+});
+
+test("quantizes what it keeps, which the browser scan cannot see into", async () => {
+  const document = new Document();
+  document.createScene().addChild(triangle(document, document.createBuffer(), "desk", [0, 0, 0, 1, 0, 0, 0, 1, 0]));
+
+  await optimizeDocument(document);
+  const [primitive] = document.getRoot().listMeshes()[0].listPrimitives();
+
+  assert.ok(!(primitive.getAttribute("POSITION").getArray() instanceof Float32Array));
+});
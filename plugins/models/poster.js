@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import sharp from "sharp";
+
+// A still render of the model, committed next to it, for devices that get no canvas
+export const POSTER_FILES = ["poster.png", "poster.jpg", "poster.jpeg", "poster.webp"];
+
+// Widths served through `srcset`; the hero never shows the poster wider than this
+const POSTER_WIDTHS = [640, 1280];
+
+export const findPoster = (source) =>
+  POSTER_FILES.map((file) => path.join(source, file)).find((file) => fs.existsSync(file)) ?? null;
+
+export const posterSize = async (file) => {
+  const { width, height } = await sharp(file).metadata();
+  return { width, height };
+};
+
+/**
+ * The WebP variants of a poster: `{ width, height, variants: [{ fileName, width }] }`.
+ * File names are derived from the image's content, so the client build and
+ * the prerender build point at the same URLs without sharing any state.
+ */
+export const planPoster = async (file, publicDir) => {
+  const { width, height } = await posterSize(file);
+  const hash = crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex").slice(0, 8);
+  const widths = [...new Set(POSTER_WIDTHS.map((target) => Math.min(target, width)))];
+
+  return {
+    width,
+    height,
+    variants: widths.map((variantWidth) => ({
+      width: variantWidth,
+      fileName: path.posix.join(publicDir, `poster-${hash}-${variantWidth}w.webp`),
+    })),
+  };
+};
+
+export const renderVariant = (file, width) => sharp(file).resize({ width }).webp({ quality: 80 }).toBuffer();
+
+/**
+ * What `<img>` needs for a planned poster served from `base`: the largest
+ * variant as `src`, every variant in `srcSet`, and the intrinsic size.
+ */
+export const posterAttributes = ({ width, height, variants }, base) => {
+  const url = (fileName) => `${base}${fileName}`;
+  return {
+    src: url(variants[variants.length - 1].fileName),
+    srcSet: variants.map((variant) => `${url(variant.fileName)} ${variant.width}w`).join(", "),
+    width,
+    height,
+  };
+};
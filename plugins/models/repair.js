@@ -0,0 +1,34 @@
+import { createTransform } from "@gltf-transform/functions";
+
+import { scanMeshes } from "../../src/lib/models/scan.js";
+
+/**
+ * Removes primitives whose float attributes hold NaN or infinite values, and
+ * meshes left without any, pushing `{ mesh, attributes }` to `removed` for
+ * each. Runs before `meshopt()`: quantized attributes are integers, which the
+ * scan in the browser (`src/lib/models`) cannot see problems in.
+ */
+export const repairGeometry = (removed = []) =>
+  createTransform("repair-geometry", (document) => {
+    document
+      .getRoot()
+      .listMeshes()
+      .forEach((mesh) => {
+        const primitives = mesh.listPrimitives();
+        const scanned = scanMeshes(
+          primitives.map((primitive) => ({
+            attributes: Object.fromEntries(
+              primitive.listSemantics().map((semantic) => [semantic, primitive.getAttribute(semantic).getArray()])
+            ),
+          }))
+        );
+
+        primitives.forEach((primitive, index) => {
+          if (!Object.keys(scanned[index]).length) return;
+          removed.push({ mesh: mesh.getName() || "(unnamed mesh)", attributes: scanned[index] });
+          primitive.dispose();
+        });
+
+        if (!mesh.listPrimitives().length) mesh.dispose();
+      });
+  });
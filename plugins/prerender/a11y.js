@@ -0,0 +1,61 @@
+import axe from "axe-core";
+import { JSDOM } from "jsdom";
+
+// jsdom has no layout or painting, so checks that depend on them cannot be trusted
+const DISABLED_RULES = ["color-contrast", "target-size", "scrollable-region-focusable"];
+
+// Names the section a node sits in, so a report points at the component to fix
+const locate = (element) => {
+  const section = element?.closest("section");
+  const anchor = section?.querySelector(".hash-span[id]");
+  if (anchor) return `#${anchor.id}`;
+
+  const landmark = element?.closest("nav, main, footer, header");
+  return landmark ? landmark.tagName.toLowerCase() : "page";
+};
+
+// Rules about a whole page, which a single section cannot satisfy on its own
+export const PAGE_RULES = ["page-has-heading-one", "landmark-one-main", "region"];
+
+/**
+ * Runs axe over one prerendered page in jsdom and resolves with its
+ * violations, one entry per failing node: `{ rule, impact, help, where, target }`.
+ * `skip` names rules to leave out on top of those jsdom cannot check.
+ */
+export const checkPage = async (html, { skip = [] } = {}) => {
+  const dom = new JSDOM(html, { runScripts: "outside-only", pretendToBeVisual: true });
+  const { window } = dom;
+
+  try {
+    window.eval(axe.source);
+    const results = await window.axe.run(window.document, {
+      rules: Object.fromEntries([...DISABLED_RULES, ...skip].map((rule) => [rule, { enabled: false }])),
+      resultTypes: ["violations"],
+    });
+
+    return results.violations.flatMap((violation) =>
+      violation.nodes.map((node) => ({
+        rule: violation.id,
+        impact: violation.impact,
+        help: violation.help,
+        where: locate(window.document.querySelector(node.target[0])),
+        target: node.target.join(" "),
+      }))
+    );
+  } finally {
+    window.close();
+  }
+};
+
+/**
+ * The violations as readable lines, grouped by page.
+ */
+export const formatViolations = (pages) =>
+  pages
+    .flatMap(({ page, violations }) => [
+      `${page}:`,
+      ...violations.map(
+        ({ rule, impact, help, where, target }) => `  [${impact}] ${rule} in ${where}: ${help} (${target})`
+      ),
+    ])
+    .join("\n");
@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+
+import { checkPage, formatViolations } from "./a11y.js";
+import { loadServerEntry } from "./server.js";
+
+const ROOT_ELEMENT = '<div id="root"></div>';
+
+const sitemap = (siteUrl, paths) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...paths.map((page) => `  <url><loc>${siteUrl}${page}</loc></url>`),
+    "</urlset>",
+    "",
+  ].join("\n");
+
+const robots = (siteUrl) =>
+  [
+    "User-agent: *",
+    "Allow: /",
+    "Disallow: /admin",
+    ...(siteUrl ? [`Sitemap: ${siteUrl}/sitemap.xml`] : []),
+    "",
+  ].join("\n");
+
+/**
+ * After the client build, renders every page from `pagePaths()` in the
+ * server entry to static HTML (head tags included) so crawlers and link
+ * previews get real content, which `main.jsx` then hydrates. Also writes
+ * `robots.txt`, and `sitemap.xml` from `sitemapPaths()` when `VITE_SITE_URL`
+ * is set.
+ *
+ * Every page is then checked with axe in jsdom (see `./a11y.js`), and the
+ * build fails on any violation unless `a11y` is false. `npm run test:a11y`
+ * checks each registered section on its own without a full build.
+ */
+const prerender = ({ entry = "src/entry-server.jsx", a11y = true } = {}) => {
+  let config;
+
+  return {
+    name: "portfolio-prerender",
+    apply: "build",
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async closeBundle() {
+      // The server build below goes through this plugin as well
+      if (config.build.ssr) return;
+
+      const outDir = path.resolve(config.root, config.build.outDir);
+
+      const { render, pagePaths, sitemapPaths, siteUrl } = await loadServerEntry({
+        root: config.root,
+        mode: config.mode,
+        configFile: config.configFile,
+        entry,
+        outDir: path.resolve(config.root, "node_modules/.cache/prerender"),
+      });
+
+      const template = fs.readFileSync(path.join(outDir, "index.html"), "utf8");
+      const paths = pagePaths();
+      const pages = paths.map((page) => {
+        const { html, head } = render(page);
+        const file = path.join(outDir, page, "index.html");
+        const document = template
+          .replace(/<title>[\s\S]*?<\/title>/, head)
+          .replace(ROOT_ELEMENT, `<div id="root">${html}</div>`);
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, document);
+        return { page, document };
+      });
+
+      fs.writeFileSync(path.join(outDir, "robots.txt"), robots(siteUrl));
+      if (siteUrl) {
+        fs.writeFileSync(path.join(outDir, "sitemap.xml"), sitemap(siteUrl, sitemapPaths()));
+      } else {
+        config.logger.warn("VITE_SITE_URL is not set: skipped sitemap.xml and absolute canonical/OpenGraph URLs");
+      }
+
+      config.logger.info(`Prerendered ${paths.length} pages: ${paths.join(", ")}`);
+
+      if (!a11y) return;
+
+      // One page at a time; each check holds a whole jsdom window
+      const failed = [];
+      for (const { page, document } of pages) {
+        const violations = await checkPage(document);
+        if (violations.length) failed.push({ page, violations });
+      }
+
+      if (failed.length) {
+        throw new Error(`Accessibility violations in prerendered pages:\n${formatViolations(failed)}`);
+      }
+      config.logger.info(`Accessibility: no axe violations on ${pages.length} pages`);
+    },
+  };
+};
+
+export default prerender;
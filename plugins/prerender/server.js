@@ -0,0 +1,23 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { build } from "vite";
+
+/**
+ * Builds `entry` for Node with the project's own Vite config and imports it.
+ * Shared by the prerender plugin and the standalone accessibility check.
+ */
+export const loadServerEntry = async ({ root, mode = "production", configFile, entry, outDir }) => {
+  await build({
+    root,
+    mode,
+    configFile,
+    logLevel: "warn",
+    // Bundled, since several dependencies cannot be imported by Node as they are published;
+    // React itself stays external because its server renderer needs Node built-ins
+    ssr: { noExternal: [/^(?!react(-dom)?(\/|$))/] },
+    build: { ssr: entry, outDir, emptyOutDir: true },
+  });
+
+  const serverEntry = path.join(outDir, `${path.parse(entry).name}.js`);
+  return import(`${pathToFileURL(serverEntry).href}?t=${Date.now()}`);
+};
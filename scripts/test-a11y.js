@@ -0,0 +1,38 @@
+// Checks every section registered through `SectionWrapper` with axe in jsdom,
+// each rendered on its own, so a failure points at one component. Runs the
+// same server build as the prerender step, without building the client.
+//
+//   npm run test:a11y
+
+import path from "path";
+import { fileURLToPath } from "url";
+
+import { PAGE_RULES, checkPage, formatViolations } from "../plugins/prerender/a11y.js";
+import { loadServerEntry } from "../plugins/prerender/server.js";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const documentFor = (name, html) =>
+  `<!doctype html><html lang="en"><head><title>${name}</title></head><body>${html}</body></html>`;
+
+const { renderSections } = await loadServerEntry({
+  root,
+  configFile: path.join(root, "vite.config.js"),
+  entry: "src/entry-server.jsx",
+  outDir: path.join(root, "node_modules/.cache/a11y"),
+});
+
+const sections = renderSections();
+const failed = [];
+// One section at a time; each check holds a whole jsdom window
+for (const { name, html } of sections) {
+  const violations = await checkPage(documentFor(name, html), { skip: PAGE_RULES });
+  if (violations.length) failed.push({ page: name, violations });
+}
+
+if (failed.length) {
+  console.error(`Accessibility violations in sections:\n${formatViolations(failed)}`);
+  process.exitCode = 1;
+} else {
+  console.info(`Accessibility: no axe violations in ${sections.length} sections (${sections.map(({ name }) => name).join(", ")})`);
+}
@@ -1,28 +1,164 @@
-import { BrowserRouter } from "react-router-dom";
+import { lazy, Suspense, useEffect } from "react";
+import { Route, Routes, useLocation } from "react-router-dom";
 
-import { About, Contact, Experience, Hero, Navbar, Tech, Works, StarsCanvas } from "./components";
+import { Hero, Navbar, SceneCanvas } from "./components";
 import Footer from "./components/Footer";
+import SkipLink from "./components/SkipLink";
+import ProjectDetail from "./components/ProjectDetail";
+import { BlogIndex, BlogPost } from "./components/blog";
+import DevModeBanner from "./components/DevModeBanner";
+import { getSections } from "./hoc";
+import { I18nProvider } from "./i18n";
+import { ThemeProvider } from "./theme";
+import { MotionProvider } from "./motion";
+import { pageMeta } from "./seo";
+import { startAnalytics, trackPageView } from "./lib/analytics";
+
+// Visitors never need the dashboard, so keep it out of the main bundle
+const Admin = lazy(() =>
+  import("./components/admin").then((module) => ({ default: module.Admin }))
+);
+
+// Router navigation does not scroll to `#section` links on its own
+const useScrollToHash = () => {
+  const { hash } = useLocation();
+
+  useEffect(() => {
+    if (hash) {
+      document.getElementById(hash.slice(1))?.scrollIntoView();
+    }
+  }, [hash]);
+};
+
+// Prerendered pages carry their own head tags; keep title and description in step while navigating
+const usePageMeta = () => {
+  const { pathname } = useLocation();
+
+  useEffect(() => {
+    const { title, description } = pageMeta(pathname);
+    document.title = title;
+    document.querySelector('meta[name="description"]')?.setAttribute("content", description);
+  }, [pathname]);
+};
+
+const usePageTracking = () => {
+  const { pathname } = useLocation();
+
+  useEffect(() => {
+    startAnalytics();
+  }, []);
+
+  useEffect(() => {
+    trackPageView();
+  }, [pathname]);
+};
+
+const Home = () => {
+  useScrollToHash();
 
-const App = () => {
   return (
-    <BrowserRouter>
-      <div className='relative z-0 bg-primary'>
+    <div className='relative z-0 bg-primary'>
+      <SkipLink />
+      {/* One WebGL context for every 3D scene on the page, drawn behind the sections */}
+      <SceneCanvas />
+      <Navbar />
+      <main id='main' tabIndex={-1} className='outline-none'>
         <div className='bg-hero-pattern bg-cover bg-no-repeat bg-center'>
-          <Navbar />
           <Hero />
         </div>
-        <About />
-        <Experience />
-        <Tech />
-        <Works />
-        <div className='relative z-0'>
-          <Contact />
-
-          <StarsCanvas />
-          <Footer/>
-        </div>
-      </div>
-    </BrowserRouter>
+        {/* Every section registered through `SectionWrapper`, in its `order` */}
+        {getSections().map(({ id, owner, component: Section }) => (
+          <Section key={id || owner} />
+        ))}
+      </main>
+      <Footer/>
+
+      {/* Visitors of a misconfigured production build get a disabled contact form instead */}
+      {import.meta.env.DEV && <DevModeBanner />}
+    </div>
+  );
+};
+
+// Every other page: the same navbar and footer around a single main landmark
+const Page = ({ children }) => (
+  <div className='relative z-0 bg-primary'>
+    <SkipLink />
+    <Navbar />
+    <main id='main' tabIndex={-1} className='outline-none'>
+      {children}
+    </main>
+    <Footer/>
+  </div>
+);
+
+const AppRoutes = () => {
+  usePageMeta();
+  usePageTracking();
+
+  return (
+    <Routes>
+      <Route path='/' element={<Home />} />
+      <Route
+        path='/projects/:slug'
+        element={
+          <Page>
+            <ProjectDetail />
+          </Page>
+        }
+      />
+      <Route
+        path='/blog'
+        element={
+          <Page>
+            <BlogIndex />
+          </Page>
+        }
+      />
+      <Route
+        path='/blog/tags/:tag'
+        element={
+          <Page>
+            <BlogIndex />
+          </Page>
+        }
+      />
+      <Route
+        path='/blog/:slug'
+        element={
+          <Page>
+            <BlogPost />
+          </Page>
+        }
+      />
+      <Route
+        path='/admin'
+        element={
+          <div className='relative z-0 bg-primary min-h-screen'>
+            <Suspense fallback={null}>
+              <Admin />
+            </Suspense>
+          </div>
+        }
+      />
+    </Routes>
+  );
+};
+
+// Everything a page or a single section needs around it, apart from the router
+export const Providers = ({ children }) => (
+  <ThemeProvider>
+    <I18nProvider>
+      <MotionProvider>{children}</MotionProvider>
+    </I18nProvider>
+  </ThemeProvider>
+);
+
+// The router comes from the entry point: a browser router in `main.jsx`, a static one when prerendering
+const App = () => {
+  return (
+    <Providers>
+      <AppRoutes />
+    </Providers>
   );
 }
 
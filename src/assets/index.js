@@ -1,72 +1,15 @@
+// Images used directly by components. Content images (projects, services,
+// technologies, testimonials...) are referenced from `src/content` instead.
 import logo from "./logo.png";
-import creator from "./creator.png";
-import mobile from "./mobile.png";
 import web from "./web.png";
 import github from "./github.png";
 import menu from "./menu.svg";
 import close from "./close.svg";
-import backend from "./backend.png";
-import gsap from './tech/gsap.png'
-import framer from './tech/framer.png';
-import css from "./tech/css.png";
-import figma from "./tech/figma.png";
-import gearXpert from './gearXpert.png';
-import project3 from './project3.webp';
-import leadcapture from './leadcapture.png';
-import mysql from './tech/mysql.png';
-import express from './tech/express.png';
-import aws from './tech/aws.png';
-import mui from './tech/mui.png'
-import git from "./tech/git.png";
-import html from "./tech/html.png";
-import javascript from "./tech/javascript.png";
-import mongodb from "./tech/mongodb.png";
-import nodejs from "./tech/nodejs.png";
-import reactjs from "./tech/reactjs.png";
-import redux from "./tech/redux.png";
-import tailwind from "./tech/tailwind.png";
-import threejs from "./tech/threejs.svg";
-import firstTestimonial from './Tars Ken.webp';
-import secondTestimonial from './image.webp';
-import thirdTestimonial from './third testimonial.webp'
-import n8ntemplates from './n8ntemplates.png';
-import falakai_logo from './falakai_logo.png';
-import invoiceAutomation from './Invoice & Payment Automation.png';
 
 export {
   logo,
-  creator,
-  mobile,
   web,
-  backend,
   github,
   menu,
   close,
-  css,
-  gearXpert,
-  leadcapture,
-  project3,
-  mysql,
-  express,
-  aws,
-  mui,
-  firstTestimonial,
-  secondTestimonial,
-  thirdTestimonial,
-  gsap,
-  framer,
-  n8ntemplates,
-  falakai_logo,
-  invoiceAutomation,
-  figma,
-  git,
-  html,
-  javascript,
-  mongodb,
-  nodejs,
-  reactjs,
-  redux,
-  tailwind,
-  threejs,
-
 };
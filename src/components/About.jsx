@@ -4,84 +4,110 @@ import gsap from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
 
 import { styles } from "../styles";
-import { services } from "../constants";
 import { SectionWrapper } from "../hoc";
+import { useContent, useTranslation } from "../i18n";
+import { useMotion } from "../motion";
 
 gsap.registerPlugin(ScrollTrigger);
 
+// Kept outside the components so the effects below only rerun when motion changes
+const cardAnimation = {
+  from: { opacity: 0, y: 100, scale: 0.8 },
+  to: { opacity: 1, y: 0, scale: 1, duration: 1, ease: "power3.out" },
+};
+
+const headingAnimation = {
+  from: { opacity: 0, x: -50 },
+  to: { opacity: 1, x: 0, duration: 1, ease: "power2.out" },
+};
+
+const paragraphAnimation = {
+  from: { opacity: 0, y: 50 },
+  to: { opacity: 1, y: 0, duration: 1.2, ease: "power3.out" },
+};
+
 const useGsap = (elementRef, animation, delay = 0) => {
+  const { reduced } = useMotion();
+
   useEffect(() => {
-    if (elementRef.current) {
-      gsap.fromTo(
-        elementRef.current,
-        animation.from,
-        {
-          ...animation.to,
-          delay,
-          scrollTrigger: {
-            trigger: elementRef.current,
-            start: "top 85%",
-            toggleActions: "play none none reverse",
-          },
-        }
-      );
-    }
-  }, [elementRef, animation, delay]);
+    if (!elementRef.current || reduced) return undefined;
+
+    const tween = gsap.fromTo(
+      elementRef.current,
+      animation.from,
+      {
+        ...animation.to,
+        delay,
+        scrollTrigger: {
+          trigger: elementRef.current,
+          start: "top 85%",
+          toggleActions: "play none none reverse",
+        },
+      }
+    );
+
+    // Reverting puts the element back in its resting, visible state
+    return () => {
+      tween.scrollTrigger?.kill();
+      tween.revert();
+    };
+  }, [elementRef, animation, delay, reduced]);
 };
 
 const ServiceCard = ({ index, title, icon }) => {
   const cardRef = useRef(null);
-  useGsap(cardRef, {
-    from: { opacity: 0, y: 100, scale: 0.8 },
-    to: { opacity: 1, y: 0, scale: 1, duration: 1, ease: "power3.out" },
-  }, index * 0.2);
+  useGsap(cardRef, cardAnimation, index * 0.2);
+  const { reduced } = useMotion();
+  const Wrapper = reduced ? "div" : Tilt;
 
   return (
-    <Tilt className="xs:w-[250px] w-full">
+    <Wrapper className="xs:w-[250px] w-full">
       <div ref={cardRef} className="w-full green-pink-gradient p-[1px] rounded-[20px] shadow-card">
         <div className="bg-tertiary rounded-[20px] py-5 px-12 min-h-[280px] flex justify-evenly items-center flex-col">
-          <img src={icon} alt="web-development" className="w-16 h-16 object-contain" />
-          <h3 className="text-white text-[20px] font-bold text-center">{title}</h3>
+          {/* The title below says what the icon shows */}
+          <img src={icon} alt="" className="w-16 h-16 object-contain" />
+          <h3 className="text-foreground text-[20px] font-bold text-center">{title}</h3>
         </div>
       </div>
-    </Tilt>
+    </Wrapper>
   );
 };
 
 const About = () => {
+  const { t } = useTranslation();
+  const { services } = useContent();
   const headingRef = useRef(null);
   const paragraphRef = useRef(null);
 
   // Heading Animation
-  useGsap(headingRef, {
-    from: { opacity: 0, x: -50 },
-    to: { opacity: 1, x: 0, duration: 1, ease: "power2.out" },
-  });
+  useGsap(headingRef, headingAnimation);
 
   // Paragraph Animation
-  useGsap(paragraphRef, {
-    from: { opacity: 0, y: 50 },
-    to: { opacity: 1, y: 0, duration: 1.2, ease: "power3.out" },
-  }, 0.3);
+  useGsap(paragraphRef, paragraphAnimation, 0.3);
 
   return (
     <>
       <div ref={headingRef}>
-        <p className={styles.sectionSubText}>Introduction</p>
-        <h2 className={styles.sectionHeadText}>Overview.</h2>
+        <p className={styles.sectionSubText}>{t("about.subtitle")}</p>
+        <h2 className={styles.sectionHeadText}>{t("about.title")}</h2>
       </div>
 
       <p ref={paragraphRef} className="mt-4 text-secondary text-[17px] max-w-3xl leading-[30px]">
-        I'm a skilled software developer with experience in  JavaScript and HTML, and expertise in no-code tools like n8n. I'm a quick learner and collaborate closely with clients to create efficient, scalable, and user-friendly solutions that solve real-world problems. Let's work together to bring your ideas to life!
+        {t("about.body")}
       </p>
 
       <div className="mt-20 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 justify-items-center gap-10">
         {services.map((service, index) => (
-          <ServiceCard key={service.title} index={index} {...service} />
+          <ServiceCard key={service.id} index={index} {...service} />
         ))}
       </div>
     </>
   );
 };
 
-export default SectionWrapper(About, "about");
+export default SectionWrapper(About, {
+  id: "about",
+  label: "sections.about",
+  order: 1,
+  nav: true,
+});
@@ -1,71 +1,275 @@
-import React, { useRef, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import { supabase } from "../lib/supabase";
+import { deliverSubmission, isDeliveryAvailable } from "../lib/delivery";
+import { enqueue, watchOutbox } from "../lib/outbox";
 
 import { styles } from "../styles";
-import { EarthCanvas } from "./canvas";
+import { EarthCanvas, StarsCanvas } from "./canvas";
 import { SectionWrapper } from "../hoc";
-import { slideIn } from "../utils/motion";
+import { contactSchema, validate, validateField } from "../utils/validation";
+import { clearDraft, loadDraft, saveDraft } from "../utils/draft";
+import { useIsomorphicLayoutEffect } from "../utils/ssr";
+import { useTranslation } from "../i18n";
+import { useMotionPresets } from "../motion";
+import { track } from "../lib/analytics";
+
+// Same threshold as `submit_contact`; humans take longer than this to write a message
+const MIN_SUBMIT_TIME = 3000;
+
+const DRAFT_KEY = "contact-draft";
+const DRAFT_SAVE_DELAY = 500;
+
+const statusBorders = {
+  success: "border-green-400",
+  error: "border-red-400",
+  queued: "border-yellow-400",
+};
+
+// Submission error codes with a message of their own under `contact.status`
+const submitErrorMessages = ["rate_limited", "duplicate_submission"];
+
+const initialForm = {
+  name: "",
+  email: "",
+  message: "",
+};
+
+const FormField = ({ name, label, error, children }) => (
+  <label className='flex flex-col'>
+    <span className='text-foreground font-medium mb-4'>{label}</span>
+    {children}
+    <span
+      id={`${name}-error`}
+      aria-live='polite'
+      className='mt-2 text-[14px] text-red-400 min-h-[20px]'
+    >
+      {error}
+    </span>
+  </label>
+);
+
+// Statuses hold a message key so they follow a locale change while shown
+const StatusPanel = ({ status, onDismiss }) => {
+  const { t } = useTranslation();
+
+  if (!status) {
+    return null;
+  }
+
+  const isError = status.type === "error";
+
+  return (
+    <div
+      role={isError ? "alert" : "status"}
+      className={`${
+        statusBorders[status.type]
+      } mt-8 flex justify-between items-start gap-4 bg-tertiary border-s-4 rounded-lg py-4 px-6`}
+    >
+      <p className='text-foreground text-[14px]'>{t(`contact.status.${status.message}`)}</p>
+      <button
+        type='button'
+        onClick={onDismiss}
+        aria-label={t("contact.dismiss")}
+        className='text-secondary hover:text-foreground'
+      >
+        &times;
+      </button>
+    </div>
+  );
+};
 
 const Contact = () => {
+  const { t } = useTranslation();
+  const { slideIn } = useMotionPresets();
   const formRef = useRef();
-  const [form, setForm] = useState({
-    name: "",
-    email: "",
-    message: "",
-  });
+  const [form, setForm] = useState(initialForm);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [status, setStatus] = useState(null);
+  const [honeypot, setHoneypot] = useState("");
+  const [pending, setPending] = useState(0);
+  const startedAt = useRef(null);
 
   const [loading, setLoading] = useState(false);
 
+  // Restored after hydrating, since prerendered pages carry an empty form
+  useIsomorphicLayoutEffect(() => {
+    const draft = loadDraft(DRAFT_KEY, initialForm);
+    if (Object.values(draft).some((value) => value.trim())) {
+      setForm(draft);
+      // A restored draft was written during an earlier visit, so it counts as time spent
+      startedAt.current = Date.now() - MIN_SUBMIT_TIME;
+      track("contact", "resumed");
+    }
+  }, []);
+
+  // Autosave the draft so a reload or a lost connection does not lose it
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      if (Object.values(form).some((value) => value.trim())) {
+        saveDraft(DRAFT_KEY, form);
+      } else {
+        clearDraft(DRAFT_KEY);
+      }
+    }, DRAFT_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [form]);
+
+  // Retry queued submissions in the background
+  useEffect(
+    () =>
+      watchOutbox(deliverSubmission, ({ sent, dropped, pending: queued }) => {
+        setPending(queued.length);
+
+        if (sent.length) {
+          setStatus({ type: "success", message: "queuedSent" });
+        } else if (dropped.some(({ error }) => error.code !== "duplicate_submission")) {
+          setStatus({ type: "error", message: "queuedFailed" });
+        }
+      }),
+    []
+  );
+
   const handleChange = (e) => {
     const { target } = e;
     const { name, value } = target;
 
+    if (startedAt.current === null) {
+      startedAt.current = Date.now();
+      track("contact", "started");
+    }
+
     setForm({
       ...form,
       [name]: value,
     });
+
+    // Re-validate as the user fixes a field they have already left
+    if (touched[name]) {
+      setErrors({
+        ...errors,
+        [name]: validateField(contactSchema[name], value),
+      });
+    }
+  };
+
+  const handleBlur = (e) => {
+    const { name, value } = e.target;
+
+    setTouched({ ...touched, [name]: true });
+    setErrors({
+      ...errors,
+      [name]: validateField(contactSchema[name], value),
+    });
+  };
+
+  const resetForm = () => {
+    setForm(initialForm);
+    setTouched({});
+    setErrors({});
+    clearDraft(DRAFT_KEY);
+    startedAt.current = null;
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
+    if (!isDeliveryAvailable) return;
+
+    const validationErrors = validate(contactSchema, form);
+    setErrors(validationErrors);
+    setTouched({ name: true, email: true, message: true });
+
+    const firstInvalid = Object.keys(contactSchema).find((name) => validationErrors[name]);
+    if (firstInvalid) {
+      track("contact", "invalid");
+      formRef.current.elements[firstInvalid].focus();
+      return;
+    }
+
+    const elapsedMs = startedAt.current === null ? 0 : Date.now() - startedAt.current;
+    if (!honeypot && elapsedMs < MIN_SUBMIT_TIME) {
+      setStatus({ type: "error", message: "tooFast" });
+      return;
+    }
+
     setLoading(true);
+    setStatus(null);
+    track("contact", "submitted");
 
-    // Submit form data to Supabase
-    const submitToSupabase = async () => {
+    // Send form data through the configured delivery adapters
+    const submitForm = async () => {
       try {
-        const { data, error } = await supabase
-          .from('contact_submissions')
-          .insert([
-            {
-              name: form.name,
-              email: form.email,
-              message: form.message,
-            }
-          ]);
-
-        if (error) {
-          throw error;
+        // Only bots fill the hidden field; act as if it worked without sending anything
+        if (!honeypot) {
+          try {
+            await deliverSubmission({ ...form, honeypot, elapsedMs });
+          } catch (error) {
+            // Some adapters have the message; queue the rest quietly
+            if (!error.delivered) throw error;
+            await enqueue(error.payload).catch((queueError) => {
+              console.error('Error queueing form:', queueError);
+            });
+          }
         }
 
         setLoading(false);
-        alert("Thank you! Your message has been submitted successfully. I will get back to you as soon as possible.");
+        setStatus({ type: "success", message: "success" });
+        track("contact", "sent");
 
-        setForm({
-          name: "",
-          email: "",
-          message: "",
-        });
+        resetForm();
       } catch (error) {
-        setLoading(false);
         console.error('Error submitting form:', error);
-        alert("Something went wrong. Please try again or contact me directly.");
+
+        if (!error.code && error.retryable) {
+          try {
+            await enqueue(error.payload);
+            setLoading(false);
+            setStatus({ type: "queued", message: "queued" });
+            track("contact", "queued");
+            resetForm();
+            return;
+          } catch (queueError) {
+            console.error('Error queueing form:', queueError);
+          }
+        }
+
+        setLoading(false);
+        track("contact", "failed");
+        setStatus({
+          type: "error",
+          message: submitErrorMessages.includes(error.code) ? error.code : "error",
+        });
       }
     };
 
-    submitToSupabase();
+    submitForm();
   };
 
+  const errorMessage = (name) =>
+    errors[name] &&
+    t(`contact.errors.${errors[name].rule}`, {
+      field: t(`contact.fieldNames.${name}`),
+      count: errors[name].count,
+    });
+
+  const inputProps = (name) => ({
+    name,
+    id: name,
+    value: form[name],
+    onChange: handleChange,
+    onBlur: handleBlur,
+    maxLength: contactSchema[name].maxLength,
+    "aria-required": true,
+    "aria-invalid": Boolean(errors[name]),
+    "aria-describedby": `${name}-error`,
+  });
+
+  const inputClassName = (name) =>
+    `bg-tertiary py-4 px-6 placeholder:text-secondary text-foreground rounded-lg font-medium border ${
+      errors[name] ? "border-red-400" : "border-transparent"
+    }`;
+
   return (
     <div
       className={`xl:mt-12 flex xl:flex-row flex-col-reverse gap-10 overflow-hidden`}
@@ -74,55 +278,83 @@ const Contact = () => {
         variants={slideIn("left", "tween", 0.2, 1)}
         className='flex-[0.75] bg-black-100 p-8 rounded-2xl'
       >
-        <p className={styles.sectionSubText}>Get in touch</p>
-        <h3 className={styles.sectionHeadText}>Contact.</h3>
+        <p className={styles.sectionSubText}>{t("contact.subtitle")}</p>
+        <h3 className={styles.sectionHeadText}>{t("contact.title")}</h3>
 
         <form
           ref={formRef}
           onSubmit={handleSubmit}
-          className='mt-12 flex flex-col gap-8'
+          noValidate
+          className='mt-12 flex flex-col gap-4'
         >
-          <label className='flex flex-col'>
-            <span className='text-white font-medium mb-4'>Your Name</span>
+          <div aria-hidden='true' className='absolute -start-[9999px] w-px h-px overflow-hidden'>
+            <label>
+              {t("contact.honeypot")}
+              <input
+                type='text'
+                name='website'
+                tabIndex={-1}
+                autoComplete='off'
+                value={honeypot}
+                onChange={(e) => setHoneypot(e.target.value)}
+              />
+            </label>
+          </div>
+
+          <FormField name='name' label={t("contact.fields.name")} error={errorMessage("name")}>
             <input
               type='text'
-              name='name'
-              value={form.name}
-              onChange={handleChange}
-              placeholder="e.g. Thomas Anderson"
-              className='bg-tertiary py-4 px-6 placeholder:text-secondary text-white rounded-lg outline-none border-none font-medium'
+              autoComplete='name'
+              placeholder={t("contact.placeholders.name")}
+              className={inputClassName("name")}
+              {...inputProps("name")}
             />
-          </label>
-          <label className='flex flex-col'>
-            <span className='text-white font-medium mb-4'>Your email</span>
+          </FormField>
+          <FormField name='email' label={t("contact.fields.email")} error={errorMessage("email")}>
             <input
               type='email'
-              name='email'
-              value={form.email}
-              onChange={handleChange}
-              placeholder="Best email to reach you"
-              className='bg-tertiary py-4 px-6 placeholder:text-secondary text-white rounded-lg outline-none border-none font-medium'
+              autoComplete='email'
+              placeholder={t("contact.placeholders.email")}
+              className={inputClassName("email")}
+              {...inputProps("email")}
             />
-          </label>
-          <label className='flex flex-col'>
-            <span className='text-white font-medium mb-4'>Your Message</span>
+          </FormField>
+          <FormField name='message' label={t("contact.fields.message")} error={errorMessage("message")}>
             <textarea
               rows={7}
-              name='message'
-              value={form.message}
-              onChange={handleChange}
-              placeholder='Tell me briefly what you need help with (e.g., website design, task automation, strategy)'
-              className='bg-tertiary py-4 px-6 placeholder:text-secondary text-white rounded-lg outline-none border-none font-medium'
+              placeholder={t("contact.placeholders.message")}
+              className={inputClassName("message")}
+              {...inputProps("message")}
             />
-          </label>
+          </FormField>
+
+          {!isDeliveryAvailable && (
+            <p
+              id='contact-unavailable'
+              className='bg-tertiary border-s-4 border-red-400 rounded-lg py-4 px-6 text-foreground text-[14px]'
+            >
+              {t("contact.unavailable")}
+            </p>
+          )}
 
           <button
             type='submit'
-            className='bg-tertiary py-3 px-8 rounded-xl outline-none w-fit text-white font-bold shadow-md shadow-primary'
+            disabled={loading || !isDeliveryAvailable}
+            aria-busy={loading}
+            aria-describedby={isDeliveryAvailable ? undefined : "contact-unavailable"}
+            className='bg-tertiary py-3 px-8 rounded-xl w-fit text-foreground font-bold shadow-md shadow-primary disabled:opacity-60 disabled:cursor-not-allowed'
           >
-            {loading ? "Sending..." : "Send"}
+            {loading ? t("contact.sending") : t("contact.send")}
           </button>
         </form>
+
+        <StatusPanel status={status} onDismiss={() => setStatus(null)} />
+
+        {pending > 0 && (
+          <p role='status' className='mt-4 text-secondary text-[14px]'>
+            {t("contact.pending", { count: pending })}
+          </p>
+        )}
       </motion.div>
 
       <motion.div
@@ -135,4 +367,10 @@ const Contact = () => {
   );
 };
 
-export default SectionWrapper(Contact, "contact");
+export default SectionWrapper(Contact, {
+  id: "contact",
+  label: "sections.contact",
+  order: 6,
+  nav: true,
+  backdrop: StarsCanvas,
+});
@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+
+import { checkHealth } from "../lib/health";
+
+const DevModeBanner = () => {
+  const [dismissed, setDismissed] = useState(false);
+  const { degraded, deliveryDegraded, integrations } = checkHealth();
+
+  if (!degraded || dismissed) {
+    return null;
+  }
+
+  const supabaseMissing = integrations.some(
+    (integration) => integration.name === "supabase" && !integration.configured
+  );
+
+  const effects = [
+    deliveryDegraded && "contact messages are kept in memory only",
+    supabaseMissing && "the admin dashboard is unavailable",
+  ].filter(Boolean);
+
+  return (
+    <div
+      role='status'
+      className='fixed bottom-4 left-1/2 -translate-x-1/2 z-30 w-[calc(100%-2rem)] max-w-xl flex items-start gap-4 bg-tertiary border-s-4 border-yellow-400 rounded-lg py-3 px-5 shadow-card'
+    >
+      <p className='text-foreground text-[14px]'>
+        <span className='font-bold'>Dev mode:</span> integrations are missing
+        configuration, so {effects.join(" and ")}. See the console for details.
+      </p>
+      <button
+        type='button'
+        onClick={() => setDismissed(true)}
+        aria-label='Dismiss dev mode notice'
+        className='text-secondary hover:text-foreground'
+      >
+        &times;
+      </button>
+    </div>
+  );
+};
+
+export default DevModeBanner;
@@ -1,4 +1,4 @@
-import React from "react";
+import React, { useId, useState } from "react";
 import {
   VerticalTimeline,
   VerticalTimelineElement,
@@ -8,19 +8,90 @@ import { motion } from "framer-motion";
 import "react-vertical-timeline-component/style.min.css";
 
 import { styles } from "../styles";
-import { experiences } from "../constants";
 import { SectionWrapper } from "../hoc";
-import { textVariant } from "../utils/motion";
+import { useContent, useTranslation } from "../i18n";
+import { useMotionPresets } from "../motion";
+import { useIsomorphicLayoutEffect } from "../utils/ssr";
+
+const KINDS = ["employment", "freelance", "education"];
+
+const monthIndex = (month) => {
+  const [year, index] = month.split("-").map(Number);
+  return year * 12 + index - 1;
+};
+
+const toMonth = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+// Both ends count, so Jan – Mar is three months
+const monthsBetween = (start, end) => monthIndex(end) - monthIndex(start) + 1;
+
+// Prerendering happens at build time, so durations that run up to today are filled in after hydrating
+const useCurrentMonth = () => {
+  const [month, setMonth] = useState(null);
+
+  useIsomorphicLayoutEffect(() => {
+    setMonth(toMonth(new Date()));
+  }, []);
+
+  return month;
+};
+
+// "Jan 2023 – Present · 2 years, 3 months"; the duration waits for the current month when still ongoing
+const usePeriodLabel = () => {
+  const { formatPeriod, formatDuration } = useTranslation();
+  const currentMonth = useCurrentMonth();
+
+  return (start, end) => {
+    const last = end || currentMonth;
+    const period = formatPeriod(start, end);
+    return last ? `${period} · ${formatDuration(monthsBetween(start, last))}` : period;
+  };
+};
+
+const RoleStack = ({ stack }) => {
+  const { t } = useTranslation();
+  const { technologies } = useContent();
+
+  return (
+    <ul aria-label={t("experience.stack")} className='mt-4 flex flex-wrap gap-2 list-none'>
+      {stack.map((name) => {
+        const technology = technologies.find((item) => item.name === name);
+
+        return (
+          <li
+            key={name}
+            className='flex items-center gap-2 bg-tertiary rounded-full py-1 px-3 text-foreground text-[12px]'
+          >
+            <img src={technology.icon} alt='' className='w-4 h-4 object-contain' />
+            {name}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
 
 const ExperienceCard = ({ experience }) => {
+  const { t } = useTranslation();
+  const periodLabel = usePeriodLabel();
+  const [expanded, setExpanded] = useState(false);
+  const detailsId = useId();
+
+  const roles = [...experience.roles].sort((a, b) => b.start.localeCompare(a.start));
+  const start = roles[roles.length - 1].start;
+  // Still there as long as one role has no end
+  const end = roles.every((role) => role.end)
+    ? roles.map((role) => role.end).sort().pop()
+    : null;
+
   return (
     <VerticalTimelineElement
       contentStyle={{
-        background: "#1d1836",
-        color: "#fff",
+        background: "rgb(var(--color-timeline))",
+        color: "rgb(var(--color-foreground))",
       }}
-      contentArrowStyle={{ borderRight: "7px solid  #232631" }}
-      date={experience.date}
+      contentArrowStyle={{ borderRight: "7px solid rgb(var(--color-timeline-arrow))" }}
+      date={periodLabel(start, end)}
       iconStyle={{ background: experience.iconBg }}
       icon={
         <div className='flex justify-center items-center w-full h-full'>
@@ -33,46 +104,104 @@ const ExperienceCard = ({ experience }) => {
       }
     >
       <div>
-        <h3 className='text-white text-[24px] font-bold'>{experience.title}</h3>
+        <h3 className='text-foreground text-[24px] font-bold'>{experience.company_name}</h3>
         <p
-          className='text-secondary text-[16px] font-semibold'
+          className='text-secondary text-[14px] font-semibold'
           style={{ margin: 0 }}
         >
-          {experience.company_name}
+          {t(`experience.kinds.${experience.kind}`)}
         </p>
       </div>
 
-      <ul className='mt-5 list-disc ml-5 space-y-2'>
-        {experience.points.map((point, index) => (
-          <li
-            key={`experience-point-${index}`}
-            className='text-white-100 text-[14px] pl-1 tracking-wider'
-          >
-            {point}
+      <ol className='mt-5 list-none space-y-5'>
+        {roles.map((role) => (
+          <li key={role.start}>
+            <h4 className='text-foreground text-[18px] font-bold'>{role.title}</h4>
+            <p className='text-secondary text-[14px]' style={{ margin: 0 }}>
+              {periodLabel(role.start, role.end)}
+            </p>
+
+            {/* Kept in the page while collapsed, so prerendered HTML carries the details */}
+            <div id={`${detailsId}-${role.start}`} hidden={!expanded}>
+              <ul className='mt-4 list-disc ms-5 space-y-2'>
+                {role.points.map((point, index) => (
+                  <li
+                    key={`experience-point-${index}`}
+                    className='text-white-100 text-[14px] ps-1 tracking-wider'
+                  >
+                    {point}
+                  </li>
+                ))}
+              </ul>
+              {role.stack?.length > 0 && <RoleStack stack={role.stack} />}
+            </div>
           </li>
         ))}
-      </ul>
+      </ol>
+
+      <button
+        type='button'
+        aria-expanded={expanded}
+        aria-controls={roles.map((role) => `${detailsId}-${role.start}`).join(" ")}
+        onClick={() => setExpanded(!expanded)}
+        className='mt-5 text-accent text-[14px] font-medium hover:underline'
+      >
+        {expanded ? t("experience.hideDetails") : t("experience.showDetails")}
+      </button>
     </VerticalTimelineElement>
   );
 };
 
 const Experience = () => {
+  const { t } = useTranslation();
+  const { textVariant } = useMotionPresets();
+  const { experiences } = useContent();
+  const [kind, setKind] = useState("all");
+
+  const visible = kind === "all" ? experiences : experiences.filter((item) => item.kind === kind);
+
   return (
     <>
       <motion.div variants={textVariant()}>
         <p className={`${styles.sectionSubText} text-center`}>
-          What I have done so far
+          {t("experience.subtitle")}
         </p>
         <h2 className={`${styles.sectionHeadText} text-center`}>
-          Work Experience.
+          {t("experience.title")}
         </h2>
       </motion.div>
 
-      <div className='mt-20 flex flex-col'>
-        <VerticalTimeline>
-          {experiences.map((experience, index) => (
+      <div
+        role='group'
+        aria-label={t("experience.filterLabel")}
+        className='mt-10 flex flex-wrap justify-center gap-2'
+      >
+        {["all", ...KINDS].map((option) => {
+          // Kinds with nothing in them stay visible, so the filter reads the same on every portfolio
+          const empty = option !== "all" && !experiences.some((item) => item.kind === option);
+
+          return (
+            <button
+              key={option}
+              type='button'
+              onClick={() => setKind(option)}
+              disabled={empty}
+              aria-pressed={kind === option}
+              className={`${
+                kind === option ? "bg-accent text-white" : "bg-tertiary text-secondary hover:text-foreground"
+              } py-2 px-4 rounded-full text-[14px] font-medium disabled:opacity-50 disabled:cursor-not-allowed`}
+            >
+              {t(`experience.kinds.${option}`)}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className='mt-12 flex flex-col'>
+        <VerticalTimeline lineColor='rgb(var(--color-foreground))'>
+          {visible.map((experience) => (
             <ExperienceCard
-              key={`experience-${index}`}
+              key={experience.id}
               experience={experience}
             />
           ))}
@@ -82,4 +211,9 @@ const Experience = () => {
   );
 };
 
-export default SectionWrapper(Experience, "work");
+export default SectionWrapper(Experience, {
+  id: "experience",
+  label: "sections.experience",
+  order: 2,
+  nav: true,
+});
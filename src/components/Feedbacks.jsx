@@ -0,0 +1,253 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { motion, AnimatePresence } from "framer-motion";
+
+import { styles } from "../styles";
+import { SectionWrapper } from "../hoc";
+import { useContent, useTranslation } from "../i18n";
+import { useMotion, useMotionPresets } from "../motion";
+
+const AUTOPLAY_INTERVAL = 6000;
+const SWIPE_THRESHOLD = 50;
+
+const slideVariants = {
+  enter: (direction) => ({ opacity: 0, x: direction * 60 }),
+  center: { opacity: 1, x: 0, transition: { duration: 0.35, ease: "easeOut" } },
+  exit: (direction) => ({ opacity: 0, x: direction * -60, transition: { duration: 0.35 } }),
+};
+
+const initialsOf = (name = "") =>
+  name
+    .split(" ")
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("");
+
+const FeedbackCard = ({ testimonial, name, designation, company, image }) => {
+  const { t } = useTranslation();
+
+  return (
+    <figure className='bg-black-200 p-10 rounded-3xl w-full'>
+      <p className='text-foreground font-black text-[48px]' aria-hidden='true'>"</p>
+
+      <blockquote className='mt-1'>
+        <p className='text-foreground tracking-wider text-[18px]'>{testimonial}</p>
+      </blockquote>
+
+      <figcaption className='mt-7 flex justify-between items-center gap-1'>
+        <div className='flex-1 flex flex-col'>
+          <p className='text-foreground font-medium text-[16px]'>
+            <span className='blue-text-gradient'>@</span> {name}
+          </p>
+          {(designation || company) && (
+            <p className='mt-1 text-secondary text-[12px]'>
+              {designation && company
+                ? t("testimonials.role", { designation, company })
+                : designation || company}
+            </p>
+          )}
+        </div>
+
+        {image ? (
+          <img
+            src={image}
+            alt={t("testimonials.portraitAlt", { name })}
+            className='w-10 h-10 rounded-full object-cover'
+          />
+        ) : (
+          <div
+            aria-hidden='true'
+            className='w-10 h-10 rounded-full bg-tertiary flex justify-center items-center text-foreground text-[14px] font-bold'
+          >
+            {initialsOf(name)}
+          </div>
+        )}
+      </figcaption>
+    </figure>
+  );
+};
+
+const Feedbacks = () => {
+  const { t, dir } = useTranslation();
+  const { testimonials } = useContent();
+  const { reduced } = useMotion();
+  const { textVariant } = useMotionPresets();
+  const [current, setCurrent] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [hovered, setHovered] = useState(false);
+  const [focused, setFocused] = useState(false);
+  const [direction, setDirection] = useState(1);
+  const touchStartX = useRef(null);
+
+  const count = testimonials.length;
+  const paused = !playing || hovered || focused;
+
+  const goTo = useCallback(
+    (index, dir = 1) => {
+      if (!count) return;
+      setDirection(dir);
+      setCurrent(((index % count) + count) % count);
+    },
+    [count]
+  );
+
+  const next = useCallback(() => goTo(current + 1, 1), [goTo, current]);
+  const previous = useCallback(() => goTo(current - 1, -1), [goTo, current]);
+
+  // Slides that move on their own are motion too; Play still starts them
+  useEffect(() => {
+    if (reduced) setPlaying(false);
+  }, [reduced]);
+
+  useEffect(() => {
+    if (paused || count < 2) return undefined;
+
+    const timer = setTimeout(next, AUTOPLAY_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [paused, count, next]);
+
+  if (!count) {
+    return null;
+  }
+
+  // Slides advance towards the end of the line, which is leftwards in RTL
+  const forward = dir === "rtl" ? -1 : 1;
+
+  const handleKeyDown = (event) => {
+    if (event.key === (forward > 0 ? "ArrowRight" : "ArrowLeft")) {
+      event.preventDefault();
+      next();
+    } else if (event.key === (forward > 0 ? "ArrowLeft" : "ArrowRight")) {
+      event.preventDefault();
+      previous();
+    } else if (event.key === "Home") {
+      event.preventDefault();
+      goTo(0, -1);
+    } else if (event.key === "End") {
+      event.preventDefault();
+      goTo(count - 1, 1);
+    }
+  };
+
+  const handleTouchStart = (event) => {
+    touchStartX.current = event.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (event) => {
+    if (touchStartX.current === null) return;
+
+    const delta = (event.changedTouches[0].clientX - touchStartX.current) * forward;
+    touchStartX.current = null;
+
+    if (delta <= -SWIPE_THRESHOLD) {
+      next();
+    } else if (delta >= SWIPE_THRESHOLD) {
+      previous();
+    }
+  };
+
+  const handleBlur = (event) => {
+    // Stay paused while focus moves between controls inside the carousel
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setFocused(false);
+    }
+  };
+
+  return (
+    <>
+      <motion.div variants={textVariant()}>
+        <p className={styles.sectionSubText}>{t("testimonials.subtitle")}</p>
+        <h2 className={styles.sectionHeadText}>{t("testimonials.title")}</h2>
+      </motion.div>
+
+      <div
+        role='region'
+        aria-roledescription='carousel'
+        aria-label={t("testimonials.carouselLabel")}
+        tabIndex={0}
+        onKeyDown={handleKeyDown}
+        onMouseEnter={() => setHovered(true)}
+        onMouseLeave={() => setHovered(false)}
+        onFocus={() => setFocused(true)}
+        onBlur={handleBlur}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
+        className='mt-12 bg-black-100 rounded-[20px] sm:p-10 p-5 outline-none focus-visible:ring-2 focus-visible:ring-accent'
+      >
+        <div
+          aria-live={paused ? "polite" : "off"}
+          className='relative overflow-hidden'
+        >
+          <AnimatePresence mode='wait' initial={false} custom={direction * forward}>
+            <motion.div
+              key={current}
+              role='group'
+              aria-roledescription='slide'
+              aria-label={t("testimonials.slideLabel", { index: current + 1, count })}
+              custom={direction * forward}
+              variants={slideVariants}
+              initial='enter'
+              animate='center'
+              exit='exit'
+            >
+              <FeedbackCard {...testimonials[current]} />
+            </motion.div>
+          </AnimatePresence>
+        </div>
+
+        {count > 1 && (
+          <div className='mt-6 flex flex-wrap justify-between items-center gap-4'>
+            <div className='flex gap-2'>
+              <button
+                type='button'
+                onClick={previous}
+                aria-label={t("testimonials.previous")}
+                className='bg-tertiary text-foreground w-10 h-10 rounded-full hover:bg-accent hover:text-white'
+              >
+                <span className='inline-block rtl:-scale-x-100'>&larr;</span>
+              </button>
+              <button
+                type='button'
+                onClick={next}
+                aria-label={t("testimonials.next")}
+                className='bg-tertiary text-foreground w-10 h-10 rounded-full hover:bg-accent hover:text-white'
+              >
+                <span className='inline-block rtl:-scale-x-100'>&rarr;</span>
+              </button>
+              <button
+                type='button'
+                onClick={() => setPlaying(!playing)}
+                aria-label={playing ? t("testimonials.pauseLabel") : t("testimonials.playLabel")}
+                className='bg-tertiary text-foreground px-4 h-10 rounded-full text-[14px] hover:bg-accent hover:text-white'
+              >
+                {playing ? t("testimonials.pause") : t("testimonials.play")}
+              </button>
+            </div>
+
+            <div role='group' aria-label={t("testimonials.chooseLabel")} className='flex gap-2'>
+              {testimonials.map((item, index) => (
+                <button
+                  key={`testimonial-dot-${index}`}
+                  type='button'
+                  onClick={() => goTo(index, index > current ? 1 : -1)}
+                  aria-label={t("testimonials.showLabel", { index: index + 1, name: item.name })}
+                  aria-current={index === current ? "true" : undefined}
+                  className={`w-3 h-3 rounded-full ${
+                    index === current ? "bg-foreground" : "bg-secondary/50"
+                  }`}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default SectionWrapper(Feedbacks, {
+  id: "testimonials",
+  label: "sections.testimonials",
+  order: 5,
+});
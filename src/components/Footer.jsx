@@ -1,10 +1,35 @@
 import React from "react";
+import { Link } from "react-router-dom";
+
+import { styles } from "../styles";
+import { getLinkedSections } from "../hoc";
+import { useTranslation } from "../i18n";
+import SectionLink from "./SectionLink";
 
 const Footer = () => {
+  const { t } = useTranslation();
+  const sections = getLinkedSections();
+
   return (
-    <footer className="w-full py-4 bg-black-100/55 text-white">
+    <footer className="w-full py-4 bg-black-100/55 text-foreground">
+      <nav aria-label={t("footer.siteMap")} className={`${styles.paddingX} max-w-7xl mx-auto`}>
+        <ul className="list-none flex flex-wrap gap-x-6 gap-y-2 text-[14px] text-secondary">
+          {sections.map((section) => (
+            <li key={section.id}>
+              <SectionLink id={section.id} className="hover:text-foreground">
+                {t(section.label)}
+              </SectionLink>
+            </li>
+          ))}
+          <li>
+            <Link to="/blog" className="hover:text-foreground">
+              {t("nav.blog")}
+            </Link>
+          </li>
+        </ul>
+      </nav>
     </footer>
   );
 };
 
-export default Footer;
\ No newline at end of file
+export default Footer;
@@ -2,27 +2,30 @@ import { motion } from "framer-motion";
 
 import { styles } from "../styles";
 import { ComputersCanvas } from "./canvas";
+import { useTranslation } from "../i18n";
+import { useMotion } from "../motion";
 
 const Hero = () => {
+  const { t } = useTranslation();
+  const { reduced } = useMotion();
 
-  
   return (
     <section className={`relative w-full h-screen mx-auto`}>
       <div
         className={`absolute inset-0 top-[120px]  max-w-7xl mx-auto ${styles.paddingX} flex flex-row items-start gap-5`}
       >
         <div className='flex flex-col justify-center items-center mt-28 md:mt-5 lg:5'>
-          <div className='w-5 h-5 rounded-full bg-[#915EFF]' />
+          <div className='w-5 h-5 rounded-full bg-accent' />
           <div className='w-1 sm:h-80 h-40 violet-gradient' />
         </div>
 
         <div className="mt-28 md:mt-5 lg:5">
-          <h1 className={`${styles.heroHeadText} text-white`}>
-            Hi, I'm <span className='text-[#915EFF]'>Falak</span>
+          <h1 className={`${styles.heroHeadText} text-foreground`}>
+            {t("hero.greeting")} <span className='text-accent'>{t("hero.name")}</span>
           </h1>
           <p className={`${styles.heroSubText} mt-2 text-white-100`}>
-            I automate repetitive tasks <br/>
-            and develop modern websites
+            {t("hero.taglineLine1")} <br/>
+            {t("hero.taglineLine2")}
           </p>
         </div>
       </div>
@@ -32,12 +35,10 @@ const Hero = () => {
       
 
       <div className='absolute xs:bottom-10 bottom-32 w-full flex justify-center items-center'>
-        <a href='#about'>
+        <a href='#about' aria-label={t("hero.scrollToAbout")}>
           <div className='w-[35px] h-[64px] rounded-3xl border-4 border-secondary flex justify-center items-start p-2'>
             <motion.div
-              animate={{
-                y: [0, 24, 0],
-              }}
+              animate={reduced ? undefined : { y: [0, 24, 0] }}
               transition={{
                 duration: 1.5,
                 repeat: Infinity,
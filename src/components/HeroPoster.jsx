@@ -0,0 +1,67 @@
+import { posters } from "virtual:models";
+
+import { useTranslation } from "../i18n";
+
+// A render of `models/desktop_pc`, committed as its `poster.png`
+const poster = posters.desktop_pc;
+
+const HeroPoster = () => {
+  const { t } = useTranslation();
+
+  if (poster) {
+    return (
+      <div className='absolute inset-x-0 xs:bottom-32 bottom-52 flex justify-center pointer-events-none'>
+        {/* Width and height reserve its space before it loads */}
+        <img
+          src={poster.src}
+          srcSet={poster.srcSet}
+          sizes='(max-width: 612px) 85vw, 520px'
+          width={poster.width}
+          height={poster.height}
+          alt={t("hero.posterAlt")}
+          decoding='async'
+          className='w-[85%] max-w-[520px] h-auto'
+        />
+      </div>
+    );
+  }
+
+  // Until the model has a poster: drawn in theme colors, so it follows light/dark
+  return (
+    <div className='absolute inset-x-0 xs:bottom-32 bottom-52 flex justify-center pointer-events-none'>
+      <svg
+        viewBox='0 0 480 300'
+        role='img'
+        aria-label={t("hero.posterAlt")}
+        className='w-[85%] max-w-[520px] h-auto'
+      >
+        {/* Desk */}
+        <rect x='10' y='250' width='460' height='14' rx='4' className='fill-tertiary' />
+        <rect x='40' y='264' width='12' height='36' className='fill-black-200' />
+        <rect x='428' y='264' width='12' height='36' className='fill-black-200' />
+
+        {/* Monitor */}
+        <rect x='110' y='40' width='230' height='150' rx='10' className='fill-black-200' />
+        <rect x='122' y='52' width='206' height='120' rx='4' className='fill-primary' />
+        <rect x='138' y='70' width='90' height='8' rx='4' className='fill-accent' />
+        <rect x='138' y='88' width='150' height='6' rx='3' className='fill-secondary' opacity='0.6' />
+        <rect x='138' y='102' width='120' height='6' rx='3' className='fill-secondary' opacity='0.6' />
+        <rect x='138' y='116' width='170' height='6' rx='3' className='fill-secondary' opacity='0.6' />
+        <rect x='138' y='140' width='60' height='16' rx='8' className='fill-accent-soft' />
+        <rect x='212' y='190' width='26' height='40' className='fill-black-200' />
+        <rect x='180' y='230' width='90' height='10' rx='5' className='fill-black-200' />
+
+        {/* Keyboard and mouse */}
+        <rect x='150' y='238' width='150' height='12' rx='3' className='fill-black-100' />
+        <rect x='318' y='238' width='22' height='12' rx='6' className='fill-black-100' />
+
+        {/* Tower */}
+        <rect x='370' y='120' width='70' height='130' rx='8' className='fill-black-200' />
+        <rect x='382' y='136' width='46' height='6' rx='3' className='fill-accent' />
+        <circle cx='405' cy='225' r='6' className='fill-accent-soft' />
+      </svg>
+    </div>
+  );
+};
+
+export default HeroPoster;
@@ -1,11 +1,16 @@
 import { Html, useProgress } from "@react-three/drei";
 
+import { useSceneView } from "./canvas/sceneViewContext";
+
 const CanvasLoader = () => {
   const { progress } = useProgress();
+  const view = useSceneView();
+
   return (
     <Html
       as='div'
       center
+      portal={view?.element}
       style={{
         display: "flex",
         justifyContent: "center",
@@ -17,7 +22,7 @@ const CanvasLoader = () => {
       <p
         style={{
           fontSize: 14,
-          color: "#F1F1F1",
+          color: "rgb(var(--color-white-100))",
           fontWeight: 800,
           marginTop: 40,
         }}
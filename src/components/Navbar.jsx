@@ -1,13 +1,182 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { Link } from "react-router-dom";
+import { motion, useScroll } from "framer-motion";
 
 import { styles } from "../styles";
-import { navLinks } from "../constants";
 import { web, menu, close } from "../assets";
+import { getNavSections } from "../hoc";
+import { site } from "../constants";
+import { locales, useTranslation } from "../i18n";
+import { useTheme } from "../theme";
+import { useMotion } from "../motion";
+import useFocusTrap from "../utils/useFocusTrap";
+import useScrollSpy from "../utils/useScrollSpy";
+import SectionLink from "./SectionLink";
+
+const LanguageSwitcher = ({ className = "" }) => {
+  const { locale, setLocale, t } = useTranslation();
+
+  return (
+    <label className={`flex items-center ${className}`}>
+      <span className='sr-only'>{t("nav.language")}</span>
+      <select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+        className='bg-tertiary text-foreground text-[14px] rounded-lg py-1 px-2 cursor-pointer'
+      >
+        {locales.map(({ code, label }) => (
+          <option key={code} value={code} lang={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+const ThemeToggle = () => {
+  const { theme, toggleTheme } = useTheme();
+  const { t } = useTranslation();
+  const label = theme === "dark" ? t("nav.lightTheme") : t("nav.darkTheme");
+
+  return (
+    <button
+      type='button'
+      onClick={toggleTheme}
+      aria-label={label}
+      title={label}
+      className='bg-tertiary text-foreground w-9 h-9 rounded-full flex justify-center items-center text-[18px]'
+    >
+      <span aria-hidden='true'>{theme === "dark" ? "☀" : "☾"}</span>
+    </button>
+  );
+};
+
+const MotionToggle = () => {
+  const { reduced, toggleMotion } = useMotion();
+  const { t } = useTranslation();
+
+  return (
+    <button
+      type='button'
+      onClick={toggleMotion}
+      aria-pressed={reduced}
+      aria-label={t("nav.reduceMotion")}
+      title={t("nav.reduceMotion")}
+      className={`${
+        reduced ? "bg-accent text-white" : "bg-tertiary text-foreground"
+      } w-9 h-9 rounded-full flex justify-center items-center text-[16px]`}
+    >
+      <span aria-hidden='true'>❚❚</span>
+    </button>
+  );
+};
+
+// How far down the page the visitor has read, as a bar along the bottom of the navbar
+const ReadingProgress = () => {
+  const { scrollYProgress } = useScroll();
+
+  return (
+    <motion.div
+      aria-hidden='true'
+      style={{ scaleX: scrollYProgress }}
+      className='absolute start-0 bottom-0 w-full h-[2px] bg-accent origin-left rtl:origin-right'
+    />
+  );
+};
+
+const MobileMenu = ({ sections, active }) => {
+  const { t } = useTranslation();
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+  const panelRef = useRef(null);
+
+  useFocusTrap(containerRef, open);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    panelRef.current.querySelector("a, select")?.focus();
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") {
+        setOpen(false);
+        buttonRef.current.focus();
+      }
+    };
+    const handlePointerDown = (event) => {
+      if (!containerRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("pointerdown", handlePointerDown);
+
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("pointerdown", handlePointerDown);
+    };
+  }, [open]);
+
+  return (
+    <div ref={containerRef}>
+      <button
+        ref={buttonRef}
+        type='button'
+        aria-expanded={open}
+        aria-controls='mobile-menu'
+        aria-label={open ? t("nav.closeMenu") : t("nav.openMenu")}
+        onClick={() => setOpen(!open)}
+        className='w-[28px] h-[28px] flex justify-center items-center'
+      >
+        <img
+          src={open ? close : menu}
+          alt=''
+          className='w-full h-full object-contain light:invert'
+        />
+      </button>
+
+      <div
+        id='mobile-menu'
+        ref={panelRef}
+        className={`${
+          !open ? "hidden" : "flex"
+        } p-6 black-gradient absolute top-20 end-0 mx-4 my-2 min-w-[140px] z-10 rounded-xl`}
+      >
+        <ul className='list-none flex justify-end items-start flex-1 flex-col gap-4'>
+          {sections.map((section) => (
+            <li key={section.id} className='font-poppins font-medium text-[16px]'>
+              <SectionLink
+                id={section.id}
+                aria-current={active === section.id ? "true" : undefined}
+                onClick={() => setOpen(false)}
+                className={active === section.id ? "text-foreground" : "text-secondary"}
+              >
+                {t(section.label)}
+              </SectionLink>
+            </li>
+          ))}
+          <li className='font-poppins font-medium text-[16px] text-secondary'>
+            <Link to='/blog' onClick={() => setOpen(false)}>
+              {t("nav.blog")}
+            </Link>
+          </li>
+          <li>
+            <LanguageSwitcher />
+          </li>
+        </ul>
+      </div>
+    </div>
+  );
+};
 
 const Navbar = () => {
-  const [active, setActive] = useState("");
-  const [toggle, setToggle] = useState(false);
+  const { t } = useTranslation();
+  // Sections register as their modules load, so every one is known by the time this renders
+  const navSections = getNavSections();
+  const active = useScrollSpy(navSections.map((section) => section.id));
   const [scrolled, setScrolled] = useState(false);
 
   useEffect(() => {
@@ -37,63 +206,50 @@ const Navbar = () => {
         <Link
           to='/'
           className='flex items-center gap-2'
-          onClick={() => {
-            setActive("");
-            window.scrollTo(0, 0);
-          }}
+          onClick={() => window.scrollTo(0, 0)}
         >
-          <img src={web} alt='logo' className='w-9 h-9 object-contain' />
-          <p className='text-white text-[18px] font-bold cursor-pointer flex '>
+          <img src={web} alt={site.name} className='w-9 h-9 object-contain' />
+          <p className='text-foreground text-[18px] font-bold cursor-pointer flex '>
             <span className='sm:block hidden'> | FalakAI</span>
           </p>
         </Link>
 
-        <ul className='list-none hidden sm:flex flex-row gap-10'>
-          {navLinks.map((nav) => (
-            <li
-              key={nav.id}
-              className={`${
-                active === nav.title ? "text-white" : "text-secondary"
-              } hover:text-white text-[18px] font-medium cursor-pointer`}
-              onClick={() => setActive(nav.title)}
-            >
-              <a href={`#${nav.id}`}>{nav.title}</a>
+        <ul className='list-none hidden sm:flex flex-row items-center gap-10'>
+          {navSections.map((section) => (
+            <li key={section.id} className='text-[18px] font-medium'>
+              <SectionLink
+                id={section.id}
+                aria-current={active === section.id ? "true" : undefined}
+                className={`${
+                  active === section.id ? "text-foreground" : "text-secondary"
+                } hover:text-foreground`}
+              >
+                {t(section.label)}
+              </SectionLink>
             </li>
           ))}
+          <li className='text-secondary hover:text-foreground text-[18px] font-medium'>
+            <Link to='/blog'>{t("nav.blog")}</Link>
+          </li>
+          <li>
+            <LanguageSwitcher />
+          </li>
+          <li>
+            <ThemeToggle />
+          </li>
+          <li>
+            <MotionToggle />
+          </li>
         </ul>
 
-        <div className='sm:hidden flex flex-1 justify-end items-center'>
-          <img
-            src={toggle ? close : menu}
-            alt='menu'
-            className='w-[28px] h-[28px] object-contain'
-            onClick={() => setToggle(!toggle)}
-          />
-
-          <div
-            className={`${
-              !toggle ? "hidden" : "flex"
-            } p-6 black-gradient absolute top-20 right-0 mx-4 my-2 min-w-[140px] z-10 rounded-xl`}
-          >
-            <ul className='list-none flex justify-end items-start flex-1 flex-col gap-4'>
-              {navLinks.map((nav) => (
-                <li
-                  key={nav.id}
-                  className={`font-poppins font-medium cursor-pointer text-[16px] ${
-                    active === nav.title ? "text-white" : "text-secondary"
-                  }`}
-                  onClick={() => {
-                    setToggle(!toggle);
-                    setActive(nav.title);
-                  }}
-                >
-                  <a href={`#${nav.id}`}>{nav.title}</a>
-                </li>
-              ))}
-            </ul>
-          </div>
+        <div className='sm:hidden flex flex-1 justify-end items-center gap-4'>
+          <ThemeToggle />
+          <MotionToggle />
+          <MobileMenu sections={navSections} active={active} />
         </div>
       </div>
+
+      <ReadingProgress />
     </nav>
   );
 };
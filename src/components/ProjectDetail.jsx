@@ -0,0 +1,228 @@
+import React, { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+
+import { styles } from "../styles";
+import { technologies } from "../constants";
+import { useContent, useTranslation } from "../i18n";
+import { useMotionPresets } from "../motion";
+import { track } from "../lib/analytics";
+
+const Arrow = ({ children }) => (
+  <span aria-hidden='true' className='inline-block rtl:-scale-x-100'>
+    {children}
+  </span>
+);
+
+const CaseStudySection = ({ title, children }) => (
+  <section className='mt-14'>
+    <h2 className='text-foreground font-bold text-[28px]'>{title}</h2>
+    <div className='mt-4'>{children}</div>
+  </section>
+);
+
+const StackList = ({ stack }) => (
+  <ul className='flex flex-wrap gap-3 list-none'>
+    {stack.map((name) => {
+      const technology = technologies.find(
+        (item) => item.name.toLowerCase() === name.toLowerCase()
+      );
+
+      return (
+        <li
+          key={name}
+          className='flex items-center gap-2 bg-tertiary rounded-full py-2 px-4 text-foreground text-[14px]'
+        >
+          {technology && (
+            <img src={technology.icon} alt='' className='w-5 h-5 object-contain' />
+          )}
+          {name}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+const ProjectNav = ({ projects, index }) => {
+  const { t } = useTranslation();
+  const previous = projects[index - 1];
+  const next = projects[index + 1];
+
+  return (
+    <nav
+      aria-label={t("project.moreProjects")}
+      className='mt-20 flex flex-col sm:flex-row justify-between gap-4 border-t border-tertiary pt-8'
+    >
+      {previous ? (
+        <Link to={`/projects/${previous.slug}`} className='group flex flex-col'>
+          <span className='text-secondary text-[14px]'>
+            <Arrow>&larr;</Arrow> {t("project.previous")}
+          </span>
+          <span className='text-foreground font-bold text-[18px] group-hover:underline'>
+            {previous.name}
+          </span>
+        </Link>
+      ) : (
+        <span />
+      )}
+      {next && (
+        <Link to={`/projects/${next.slug}`} className='group flex flex-col sm:items-end'>
+          <span className='text-secondary text-[14px]'>
+            {t("project.next")} <Arrow>&rarr;</Arrow>
+          </span>
+          <span className='text-foreground font-bold text-[18px] group-hover:underline'>
+            {next.name}
+          </span>
+        </Link>
+      )}
+    </nav>
+  );
+};
+
+const ProjectDetail = () => {
+  const { slug } = useParams();
+  const { t } = useTranslation();
+  const { fadeIn, textVariant } = useMotionPresets();
+  const { projects } = useContent();
+  const index = projects.findIndex((project) => project.slug === slug);
+  const project = projects[index];
+
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [slug]);
+
+  if (!project) {
+    return (
+      <div className={`${styles.padding} max-w-7xl mx-auto min-h-screen pt-32`}>
+        <h1 className={styles.sectionHeadText}>{t("project.notFoundTitle")}</h1>
+        <p className='mt-4 text-secondary text-[17px]'>
+          {t("project.notFoundBody")}{" "}
+          <Link to='/#projects' className='text-foreground underline'>
+            {t("project.seeAll")}
+          </Link>
+        </p>
+      </div>
+    );
+  }
+
+  const caseStudy = project.case_study || {};
+
+  return (
+    <motion.article
+      key={project.slug}
+      initial='hidden'
+      animate='show'
+      className={`${styles.padding} max-w-5xl mx-auto min-h-screen pt-32`}
+    >
+      <Link to='/#projects' className='text-secondary text-[14px] hover:text-foreground'>
+        <Arrow>&larr;</Arrow> {t("project.allProjects")}
+      </Link>
+
+      <motion.header variants={textVariant()} className='mt-6'>
+        <p className={styles.sectionSubText}>{t("project.caseStudy")}</p>
+        <h1 className={styles.sectionHeadText}>{project.name}</h1>
+        <p className='mt-4 text-secondary text-[17px] max-w-3xl leading-[30px]'>
+          {project.description}
+        </p>
+
+        <div className='mt-4 flex flex-wrap gap-2'>
+          {project.tags.map((tag) => (
+            <p key={tag.name} className={`text-[14px] ${tag.color}`}>
+              #{tag.name}
+            </p>
+          ))}
+        </div>
+
+        {(project.live_demo_link || project.source_code_link) && (
+          <div className='mt-8 flex flex-wrap gap-4'>
+            {project.live_demo_link && (
+              <a
+                href={project.live_demo_link}
+                onClick={() => track("project_click", `${project.slug}/demo`)}
+                target='_blank'
+                rel='noopener noreferrer'
+                className='bg-accent py-3 px-6 rounded-xl text-white font-bold'
+              >
+                {t("project.liveDemo")}
+              </a>
+            )}
+            {project.source_code_link && (
+              <a
+                href={project.source_code_link}
+                onClick={() => track("project_click", `${project.slug}/source`)}
+                target='_blank'
+                rel='noopener noreferrer'
+                className='bg-tertiary py-3 px-6 rounded-xl text-foreground font-bold'
+              >
+                {t("project.sourceCode")}
+              </a>
+            )}
+          </div>
+        )}
+      </motion.header>
+
+      <motion.img
+        variants={fadeIn("up", "tween", 0.1, 0.6)}
+        src={project.image}
+        alt={project.image_alt}
+        className='mt-12 w-full rounded-2xl object-cover'
+      />
+
+      {caseStudy.problem && (
+        <CaseStudySection title={t("project.problem")}>
+          <p className='text-secondary text-[17px] leading-[30px]'>{caseStudy.problem}</p>
+        </CaseStudySection>
+      )}
+
+      {caseStudy.solution && (
+        <CaseStudySection title={t("project.solution")}>
+          <p className='text-secondary text-[17px] leading-[30px]'>{caseStudy.solution}</p>
+        </CaseStudySection>
+      )}
+
+      {caseStudy.stack?.length > 0 && (
+        <CaseStudySection title={t("project.stack")}>
+          <StackList stack={caseStudy.stack} />
+        </CaseStudySection>
+      )}
+
+      {caseStudy.screenshots?.length > 0 && (
+        <CaseStudySection title={t("project.screenshots")}>
+          <div className='grid grid-cols-1 md:grid-cols-2 gap-6'>
+            {caseStudy.screenshots.map((screenshot) => (
+              <figure key={screenshot.image}>
+                <a href={screenshot.image} target='_blank' rel='noopener noreferrer'>
+                  <img
+                    src={screenshot.image}
+                    alt={screenshot.caption}
+                    loading='lazy'
+                    className='w-full rounded-xl object-cover'
+                  />
+                </a>
+                <figcaption className='mt-2 text-secondary text-[14px]'>
+                  {screenshot.caption}
+                </figcaption>
+              </figure>
+            ))}
+          </div>
+        </CaseStudySection>
+      )}
+
+      {caseStudy.outcomes?.length > 0 && (
+        <CaseStudySection title={t("project.outcomes")}>
+          <ul className='list-disc ms-5 space-y-2'>
+            {caseStudy.outcomes.map((outcome) => (
+              <li key={outcome} className='text-white-100 text-[16px] ps-1'>
+                {outcome}
+              </li>
+            ))}
+          </ul>
+        </CaseStudySection>
+      )}
+
+      <ProjectNav projects={projects} index={index} />
+    </motion.article>
+  );
+};
+
+export default ProjectDetail;
@@ -0,0 +1,23 @@
+import React from "react";
+import { Link, useLocation } from "react-router-dom";
+
+// Plain anchors scroll within the home page; elsewhere go back home first
+const SectionLink = ({ id, children, ...props }) => {
+  const { pathname } = useLocation();
+
+  if (pathname === "/") {
+    return (
+      <a href={`#${id}`} {...props}>
+        {children}
+      </a>
+    );
+  }
+
+  return (
+    <Link to={`/#${id}`} {...props}>
+      {children}
+    </Link>
+  );
+};
+
+export default SectionLink;
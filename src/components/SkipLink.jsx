@@ -0,0 +1,19 @@
+import React from "react";
+
+import { useTranslation } from "../i18n";
+
+// The first stop for keyboard users; hidden until it has focus
+const SkipLink = ({ target = "main" }) => {
+  const { t } = useTranslation();
+
+  return (
+    <a
+      href={`#${target}`}
+      className='sr-only focus:not-sr-only focus:fixed focus:top-4 focus:start-4 focus:z-50 bg-accent text-white font-medium py-2 px-4 rounded-lg'
+    >
+      {t("nav.skipToContent")}
+    </a>
+  );
+};
+
+export default SkipLink;
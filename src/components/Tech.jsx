@@ -1,8 +1,98 @@
-import React from "react";
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+
+import { styles } from "../styles";
+import { BallCanvas } from "./canvas";
 import { SectionWrapper } from "../hoc";
+import { useContent, useTranslation } from "../i18n";
+import { useMotionPresets } from "../motion";
+import useMediaQuery from "../utils/useMediaQuery";
+
+const TechGrid = ({ items }) => (
+  <ul className='grid grid-cols-3 xs:grid-cols-4 sm:grid-cols-6 gap-6 list-none'>
+    {items.map((technology) => (
+      <li key={technology.name} className='flex flex-col items-center gap-2'>
+        <div className='w-16 h-16 rounded-full bg-tertiary flex justify-center items-center'>
+          {/* Named in the caption below */}
+          <img
+            src={technology.icon}
+            alt=''
+            className='w-2/3 h-2/3 object-contain'
+          />
+        </div>
+        <p className='text-secondary text-[12px] text-center'>{technology.name}</p>
+      </li>
+    ))}
+  </ul>
+);
 
 const Tech = () => {
-  return null;
+  const { t } = useTranslation();
+  const { textVariant } = useMotionPresets();
+  const { techCategories, technologies } = useContent();
+  const [category, setCategory] = useState("all");
+  const isMobile = useMediaQuery("(max-width: 500px)");
+
+  // Only offer categories that actually have technologies in them
+  const filters = [
+    { id: "all", title: t("tech.all") },
+    ...techCategories.filter((item) =>
+      technologies.some((technology) => technology.category === item.id)
+    ),
+  ];
+
+  const visible =
+    category === "all"
+      ? technologies
+      : technologies.filter((technology) => technology.category === category);
+
+  return (
+    <>
+      <motion.div variants={textVariant()}>
+        <p className={`${styles.sectionSubText} text-center`}>
+          {t("tech.subtitle")}
+        </p>
+        <h2 className={`${styles.sectionHeadText} text-center`}>
+          {t("tech.title")}
+        </h2>
+      </motion.div>
+
+      <div
+        role='group'
+        aria-label={t("tech.filterLabel")}
+        className='mt-10 flex flex-wrap justify-center gap-3'
+      >
+        {filters.map((item) => (
+          <button
+            key={item.id}
+            type='button'
+            aria-pressed={category === item.id}
+            onClick={() => setCategory(item.id)}
+            className={`${
+              category === item.id ? "bg-accent text-white" : "bg-tertiary text-secondary hover:text-foreground"
+            } py-2 px-5 rounded-full text-[14px] font-medium`}
+          >
+            {item.title}
+          </button>
+        ))}
+      </div>
+
+      <div className='mt-14'>
+        {isMobile ? (
+          <TechGrid items={visible} />
+        ) : (
+          <BallCanvas
+            technologies={visible}
+            fallback={<TechGrid items={visible} />}
+          />
+        )}
+      </div>
+    </>
+  );
 };
 
-export default SectionWrapper(Tech, "");
\ No newline at end of file
+export default SectionWrapper(Tech, {
+  id: "tech",
+  label: "sections.tech",
+  order: 3,
+});
@@ -1,4 +1,6 @@
-import React, { useEffect, useRef } from "react";
+import React, { useEffect, useMemo, useRef } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { AnimatePresence, motion } from "framer-motion";
 import { Tilt } from "react-tilt";
 import { gsap } from "gsap";
 import { ScrollTrigger } from "gsap/ScrollTrigger";
@@ -7,25 +9,35 @@ import { styles } from "../styles";
 import { github } from "../assets";
 import { SectionWrapper } from "../hoc";
 import { projects } from "../constants";
+import { useContent, useTranslation } from "../i18n";
+import { useMotion } from "../motion";
+import { track } from "../lib/analytics";
 
 // Register ScrollTrigger plugin
 gsap.registerPlugin(ScrollTrigger);
 
 const ProjectCard = ({
   index,
+  slug,
   name,
   description,
   tags,
   image,
+  image_alt,
   source_code_link,
 }) => {
+  const { t } = useTranslation();
+  const { reduced } = useMotion();
   const cardRef = useRef(null);
+  const Wrapper = reduced ? "div" : Tilt;
 
   useEffect(() => {
+    if (reduced) return undefined;
+
     const el = cardRef.current;
 
     // ScrollTrigger for animating project cards with stagger
-    gsap.fromTo(
+    const tween = gsap.fromTo(
       el,
       {
         opacity: 0,
@@ -43,43 +55,62 @@ const ProjectCard = ({
         },
       }
     );
-  }, []);
+
+    // Filtering unmounts cards, so their triggers have to go with them
+    return () => {
+      tween.scrollTrigger?.kill();
+      tween.revert();
+    };
+  }, [reduced]);
 
   return (
     <div ref={cardRef}>
-      <Tilt
-        options={{
-          max: 45,
-          scale: 1,
-          speed: 450,
-        }}
+      <Wrapper
+        {...(!reduced && {
+          options: {
+            max: 45,
+            scale: 1,
+            speed: 450,
+          },
+        })}
         className="bg-tertiary p-5 rounded-2xl sm:w-[360px] w-full min-h-[480px] flex flex-col"
       >
         <div className="relative w-full h-[230px]">
           <img
             src={image}
-            alt="project_image"
+            alt={image_alt}
             className="w-full h-full object-cover object-left rounded-2xl"
           />
 
           {source_code_link && (
             <div className="absolute inset-0 flex justify-end m-3 card-img_hover">
-              <div
-                onClick={() => window.open(source_code_link, "_blank")}
-                className="black-gradient w-10 h-10 rounded-full flex justify-center items-center cursor-pointer"
+              <a
+                href={source_code_link}
+                target="_blank"
+                rel="noopener noreferrer"
+                onClick={() => track("project_click", `${slug}/source`)}
+                className="black-gradient w-10 h-10 rounded-full flex justify-center items-center"
               >
                 <img
                   src={github}
-                  alt="source code"
+                  alt={t("works.sourceCodeFor", { name })}
                   className="w-1/2 h-1/2 object-contain"
                 />
-              </div>
+              </a>
             </div>
           )}
         </div>
 
         <div className="mt-5 flex-1 flex flex-col">
-          <h3 className="text-white font-bold text-[24px]">{name}</h3>
+          <h3 className="text-foreground font-bold text-[24px]">
+            <Link
+              to={`/projects/${slug}`}
+              onClick={() => track("project_click", `${slug}/case-study`)}
+              className="hover:underline"
+            >
+              {name}
+            </Link>
+          </h3>
           <p className="mt-2 text-secondary text-[14px] flex-1">{description}</p>
           
           <div className="mt-4 flex flex-wrap gap-2">
@@ -92,16 +123,89 @@ const ProjectCard = ({
               </p>
             ))}
           </div>
+
+          <Link
+            to={`/projects/${slug}`}
+            onClick={() => track("project_click", `${slug}/case-study`)}
+            className="mt-4 text-foreground text-[14px] font-medium hover:underline"
+          >
+            {t("works.readCaseStudy")}{" "}
+            <span aria-hidden="true" className="inline-block rtl:-scale-x-100">&rarr;</span>
+          </Link>
         </div>
-      </Tilt>
+      </Wrapper>
     </div>
   );
 };
 
+const tagKey = (name) => name.toLowerCase();
+
+// Every distinct tag across all projects, in order of first appearance. Tags
+// are not translated, so the base content is enough here.
+const allTags = projects.reduce((tags, project) => {
+  project.tags.forEach((tag) => {
+    if (!tags.some((item) => tagKey(item.name) === tagKey(tag.name))) {
+      tags.push(tag);
+    }
+  });
+  return tags;
+}, []);
+
 const Works = () => {
+  const { t } = useTranslation();
+  const { projects } = useContent();
+  const { reduced } = useMotion();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get("q") || "";
+  const selectedTags = useMemo(
+    () => (searchParams.get("tags") || "").split(",").filter(Boolean),
+    [searchParams]
+  );
+
+  const visibleProjects = useMemo(() => {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return projects.filter((project) => {
+      const matchesTags =
+        !selectedTags.length ||
+        project.tags.some((tag) => selectedTags.includes(tagKey(tag.name)));
+      const text = `${project.name} ${project.description}`.toLowerCase();
+
+      return matchesTags && terms.every((term) => text.includes(term));
+    });
+  }, [projects, query, selectedTags]);
+
+  const visibleKey = visibleProjects.map((project) => project.slug).join(",");
+
+  // Keep the filters in the URL so a filtered view can be shared
+  const updateParams = (changes, options) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next, options);
+  };
+
+  const toggleTag = (name) => {
+    const key = tagKey(name);
+    const tags = selectedTags.includes(key)
+      ? selectedTags.filter((item) => item !== key)
+      : [...selectedTags, key];
+
+    updateParams({ tags: tags.join(",") });
+  };
+
+  const clearFilters = () => updateParams({ tags: "", q: "" });
+
   useEffect(() => {
+    if (reduced) return undefined;
+
     // Stagger effect for project cards
-    gsap.fromTo(
+    const tween = gsap.fromTo(
       ".project-card", // Select all project cards
       {
         opacity: 0,
@@ -120,30 +224,108 @@ const Works = () => {
         },
       }
     );
-  }, []);
+
+    // Rebuilt whenever the filtered set of cards changes
+    return () => {
+      tween.scrollTrigger?.kill();
+      tween.revert();
+    };
+  }, [visibleKey, reduced]);
 
   return (
     <>
       <div>
-        <p className={`${styles.sectionSubText}`}>My work</p>
-        <h2 className={`${styles.sectionHeadText}`}>Projects.</h2>
+        <p className={`${styles.sectionSubText}`}>{t("works.subtitle")}</p>
+        <h2 className={`${styles.sectionHeadText}`}>{t("works.title")}</h2>
       </div>
 
       <div className="w-full flex">
         <p className="mt-3 text-secondary text-[17px] max-w-3xl leading-[30px]">
-          Following projects showcase my skills and experience through real-world examples of my work. Each project is briefly described. It reflects my ability to solve complex problems, work with different technologies, and manage projects effectively.
+          {t("works.intro")}
         </p>
       </div>
 
-      <div className="works-container mt-20 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 justify-items-center gap-5">
-        {projects.map((project, index) => (
-          <div key={`project-${index}`} className="project-card">
-            <ProjectCard index={index} {...project} />
-          </div>
-        ))}
+      <div className="mt-10 flex flex-col gap-4">
+        <label className="flex flex-col max-w-md">
+          <span className="sr-only">{t("works.searchLabel")}</span>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => updateParams({ q: e.target.value }, { replace: true })}
+            placeholder={t("works.searchPlaceholder")}
+            className="bg-tertiary py-3 px-5 placeholder:text-secondary text-foreground rounded-lg border-none"
+          />
+        </label>
+
+        <div role="group" aria-label={t("works.filterLabel")} className="flex flex-wrap gap-2">
+          {allTags.map((tag) => {
+            const selected = selectedTags.includes(tagKey(tag.name));
+
+            return (
+              <button
+                key={tagKey(tag.name)}
+                type="button"
+                aria-pressed={selected}
+                onClick={() => toggleTag(tag.name)}
+                className={`${
+                  selected ? "bg-accent text-white" : "bg-tertiary text-secondary hover:text-foreground"
+                } py-1 px-4 rounded-full text-[14px]`}
+              >
+                #{tag.name}
+              </button>
+            );
+          })}
+
+          {(selectedTags.length > 0 || query) && (
+            <button
+              type="button"
+              onClick={clearFilters}
+              className="py-1 px-4 text-[14px] text-secondary underline hover:text-foreground"
+            >
+              {t("works.clearFilters")}
+            </button>
+          )}
+        </div>
+
+        <p className="sr-only" aria-live="polite">
+          {t("works.resultCount", { shown: visibleProjects.length, total: projects.length })}
+        </p>
       </div>
+
+      <motion.div
+        layout
+        className="works-container mt-20 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 justify-items-center gap-5"
+      >
+        <AnimatePresence mode="popLayout" onExitComplete={() => ScrollTrigger.refresh()}>
+          {visibleProjects.map((project) => (
+            <motion.div
+              key={project.slug}
+              layout
+              initial={{ opacity: 0, scale: 0.9 }}
+              animate={{ opacity: 1, scale: 1 }}
+              exit={{ opacity: 0, scale: 0.9 }}
+              transition={{ duration: 0.3 }}
+            >
+              <div className="project-card">
+                <ProjectCard index={projects.indexOf(project)} {...project} />
+              </div>
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </motion.div>
+
+      {!visibleProjects.length && (
+        <p className="mt-10 text-secondary text-center">
+          {t("works.empty")}
+        </p>
+      )}
     </>
   );
 };
 
-export default SectionWrapper(Works, "");
+export default SectionWrapper(Works, {
+  id: "projects",
+  label: "sections.projects",
+  order: 4,
+  nav: true,
+});
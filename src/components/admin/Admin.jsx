@@ -0,0 +1,128 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+
+import { styles } from "../../styles";
+import { getSupabase, isSupabaseConfigured } from "../../lib/supabase";
+import AdminLogin from "./AdminLogin";
+import Submissions from "./Submissions";
+import Analytics from "./Analytics";
+
+const TABS = [
+  { id: "submissions", title: "Submissions", Panel: Submissions },
+  { id: "analytics", title: "Analytics", Panel: Analytics },
+];
+
+const useSession = () => {
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(isSupabaseConfigured);
+
+  useEffect(() => {
+    if (!isSupabaseConfigured) {
+      return undefined;
+    }
+
+    let subscription = null;
+    let cancelled = false;
+
+    getSupabase().then(async (supabase) => {
+      const { data } = await supabase.auth.getSession();
+      if (cancelled) return;
+
+      setSession(data.session);
+      setLoading(false);
+
+      subscription = supabase.auth.onAuthStateChange((_event, nextSession) => {
+        setSession(nextSession);
+      }).data.subscription;
+    }).catch((error) => {
+      console.error("Error loading admin session:", error);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+      subscription?.unsubscribe();
+    };
+  }, []);
+
+  return { session, loading };
+};
+
+const Admin = () => {
+  const { session, loading } = useSession();
+  const [tab, setTab] = useState(TABS[0].id);
+  const { title, Panel } = TABS.find((item) => item.id === tab);
+
+  if (loading) {
+    return (
+      <div className='min-h-screen flex justify-center items-center'>
+        <span className='canvas-loader'></span>
+      </div>
+    );
+  }
+
+  if (!isSupabaseConfigured) {
+    return (
+      <div className='min-h-screen flex flex-col justify-center items-center gap-4 px-6 text-center'>
+        <h1 className='text-foreground font-black text-[32px]'>Admin unavailable.</h1>
+        <p className='text-secondary max-w-md'>
+          Set <code>VITE_SUPABASE_URL</code> and <code>VITE_SUPABASE_ANON_KEY</code> to
+          sign in and review contact submissions and analytics.
+        </p>
+        <Link to='/' className='text-foreground underline'>
+          Back to the site
+        </Link>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return <AdminLogin />;
+  }
+
+  return (
+    <div className={`${styles.padding} max-w-7xl mx-auto min-h-screen`}>
+      <header className='flex flex-wrap justify-between items-center gap-4'>
+        <div>
+          <p className={styles.sectionSubText}>Admin</p>
+          <h1 className='text-foreground font-black text-[40px]'>{title}.</h1>
+        </div>
+        <div className='flex items-center gap-4'>
+          <span className='text-secondary text-[14px]'>{session.user.email}</span>
+          <Link to='/' className='text-secondary text-[14px] hover:text-foreground'>
+            View site
+          </Link>
+          <button
+            type='button'
+            onClick={() => getSupabase().then((supabase) => supabase.auth.signOut())}
+            className='bg-tertiary py-2 px-4 rounded-lg text-foreground text-[14px]'
+          >
+            Sign out
+          </button>
+        </div>
+      </header>
+
+      <nav aria-label='Dashboard' className='mt-8 flex gap-6 border-b border-tertiary'>
+        {TABS.map((item) => (
+          <button
+            key={item.id}
+            type='button'
+            onClick={() => setTab(item.id)}
+            aria-current={tab === item.id ? "page" : undefined}
+            className={`${
+              tab === item.id ? "text-foreground border-accent" : "text-secondary border-transparent hover:text-foreground"
+            } pb-3 -mb-px border-b-2 text-[16px] font-medium`}
+          >
+            {item.title}
+          </button>
+        ))}
+      </nav>
+
+      <main className='mt-10'>
+        <Panel />
+      </main>
+    </div>
+  );
+};
+
+export default Admin;
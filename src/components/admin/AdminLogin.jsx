@@ -0,0 +1,92 @@
+import React, { useState } from "react";
+
+import { styles } from "../../styles";
+import { getSupabase } from "../../lib/supabase";
+
+const AdminLogin = () => {
+  const [form, setForm] = useState({ email: "", password: "" });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+
+    setForm({
+      ...form,
+      [name]: value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    const supabase = await getSupabase();
+    const { error: signInError } = await supabase.auth.signInWithPassword({
+      email: form.email,
+      password: form.password,
+    });
+
+    setLoading(false);
+
+    if (signInError) {
+      setError(signInError.message);
+    }
+  };
+
+  return (
+    <div className='min-h-screen flex justify-center items-center px-6'>
+      <form
+        onSubmit={handleSubmit}
+        className='bg-black-100 p-8 rounded-2xl w-full max-w-md flex flex-col gap-6'
+      >
+        <div>
+          <p className={styles.sectionSubText}>Admin</p>
+          <h1 className='text-foreground font-black text-[32px]'>Sign in.</h1>
+        </div>
+
+        <label className='flex flex-col'>
+          <span className='text-foreground font-medium mb-2'>Email</span>
+          <input
+            type='email'
+            name='email'
+            autoComplete='username'
+            required
+            value={form.email}
+            onChange={handleChange}
+            className='bg-tertiary py-3 px-5 text-foreground rounded-lg border-none font-medium'
+          />
+        </label>
+        <label className='flex flex-col'>
+          <span className='text-foreground font-medium mb-2'>Password</span>
+          <input
+            type='password'
+            name='password'
+            autoComplete='current-password'
+            required
+            value={form.password}
+            onChange={handleChange}
+            className='bg-tertiary py-3 px-5 text-foreground rounded-lg border-none font-medium'
+          />
+        </label>
+
+        {error && (
+          <p role='alert' className='text-red-400 text-[14px]'>
+            {error}
+          </p>
+        )}
+
+        <button
+          type='submit'
+          disabled={loading}
+          className='bg-accent py-3 px-8 rounded-xl w-fit text-white font-bold disabled:opacity-60'
+        >
+          {loading ? "Signing in..." : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AdminLogin;
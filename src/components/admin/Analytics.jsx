@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from "react";
+
+import { SCROLL_MILESTONES, fetchAnalyticsSummary } from "../../lib/analytics";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const RANGES = [
+  { days: 7, title: "7 days" },
+  { days: 30, title: "30 days" },
+  { days: 90, title: "90 days" },
+];
+
+// Contact form steps in the order a visitor goes through them
+const FUNNEL_STEPS = [
+  { id: "started", title: "Started typing" },
+  { id: "resumed", title: "Resumed a draft" },
+  { id: "invalid", title: "Hit a validation error" },
+  { id: "submitted", title: "Submitted" },
+  { id: "sent", title: "Sent" },
+  { id: "queued", title: "Queued offline" },
+  { id: "failed", title: "Failed" },
+];
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+const percent = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : "–");
+
+const Stat = ({ label, value }) => (
+  <div className='bg-black-100 rounded-2xl p-5'>
+    <p className='text-secondary text-[12px]'>{label}</p>
+    <p className='mt-1 text-foreground font-bold text-[28px]'>{value}</p>
+  </div>
+);
+
+// Rows of `{ label, events, visits }`, with visits also shown as a share of all visits
+const SummaryTable = ({ title, rows, visits, empty = "No events yet." }) => (
+  <section className='bg-black-100 rounded-2xl p-5'>
+    <h2 className='text-foreground font-bold text-[18px]'>{title}</h2>
+    {rows.length ? (
+      <table className='mt-4 w-full text-[14px]'>
+        <thead>
+          <tr className='text-secondary text-start'>
+            <th scope='col' className='text-start font-medium pb-2'>Target</th>
+            <th scope='col' className='text-end font-medium pb-2'>Events</th>
+            <th scope='col' className='text-end font-medium pb-2'>Visits</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.label} className='border-t border-tertiary'>
+              <td className='py-2 pe-4 text-white-100 break-all'>{row.label}</td>
+              <td className='py-2 text-end text-foreground'>{row.events}</td>
+              <td className='py-2 ps-4 text-end text-foreground whitespace-nowrap'>
+                {row.visits} <span className='text-secondary'>({percent(row.visits, visits)})</span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className='mt-4 text-secondary text-[14px]'>{empty}</p>
+    )}
+  </section>
+);
+
+const labelled = (rows) => rows.map((row) => ({ ...row, label: row.target ?? "(none)" }));
+
+const Analytics = () => {
+  const [days, setDays] = useState(RANGES[0].days);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const to = new Date();
+    const from = new Date(to.getTime() - days * DAY);
+
+    setLoading(true);
+    setError("");
+
+    fetchAnalyticsSummary({ from, to })
+      .then((result) => {
+        if (!cancelled) setSummary(result);
+      })
+      .catch((loadError) => {
+        console.error("Error loading analytics:", loadError);
+        if (!cancelled) setError("Could not load analytics.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [days]);
+
+  const visits = summary?.visits ?? 0;
+  const events = summary?.events;
+  const funnel = summary
+    ? FUNNEL_STEPS.map(({ id, title }) => {
+        const row = events.contact.find((item) => item.target === id);
+        return { id, label: title, events: row?.events ?? 0, visits: row?.visits ?? 0 };
+      })
+    : [];
+  const scrollDepth = summary
+    ? SCROLL_MILESTONES.map((milestone) => {
+        const row = events.scroll_depth.find((item) => item.target === String(milestone));
+        return { label: `${milestone}%`, events: row?.events ?? 0, visits: row?.visits ?? 0 };
+      })
+    : [];
+
+  return (
+    <div>
+      <div className='flex flex-wrap justify-between items-center gap-4'>
+        <div className='flex flex-wrap gap-2' role='group' aria-label='Date range'>
+          {RANGES.map((range) => (
+            <button
+              key={range.days}
+              type='button'
+              onClick={() => setDays(range.days)}
+              aria-pressed={days === range.days}
+              className={`${
+                days === range.days ? "bg-accent text-white" : "bg-tertiary text-secondary hover:text-foreground"
+              } py-1 px-3 rounded-full text-[12px] font-medium`}
+            >
+              {range.title}
+            </button>
+          ))}
+        </div>
+        <p className='text-secondary text-[14px]' aria-live='polite'>
+          {loading ? "Loading..." : `Last ${days} days`}
+        </p>
+      </div>
+
+      {error && (
+        <p role='alert' className='mt-4 text-red-400 text-[14px]'>
+          {error}
+        </p>
+      )}
+
+      {summary && (
+        <>
+          <div className='mt-6 grid grid-cols-2 md:grid-cols-4 gap-4'>
+            <Stat label='Visits' value={visits} />
+            <Stat label='Page views' value={sum(events.page_view, "events")} />
+            <Stat label='Project clicks' value={sum(events.project_click, "events")} />
+            <Stat label='Messages sent' value={funnel.find((step) => step.id === "sent").events} />
+          </div>
+
+          <div className='mt-6 grid grid-cols-1 lg:grid-cols-2 gap-4'>
+            <SummaryTable title='Pages' rows={labelled(events.page_view)} visits={visits} />
+            <SummaryTable title='Sections viewed' rows={labelled(events.section_view)} visits={visits} />
+            <SummaryTable title='Scroll depth' rows={scrollDepth} visits={visits} />
+            <SummaryTable title='Contact form' rows={funnel} visits={visits} />
+            <SummaryTable title='Project clicks' rows={labelled(events.project_click)} visits={visits} />
+            <SummaryTable title='Outbound links' rows={labelled(events.link_click)} visits={visits} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Analytics;
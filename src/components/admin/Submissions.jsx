@@ -0,0 +1,295 @@
+import React, { useEffect, useState } from "react";
+
+import {
+  VIEWS,
+  fetchAllSubmissions,
+  fetchSubmissions,
+  setSubmissionStatus,
+} from "../../lib/submissions";
+import { downloadFile, toCsv, toJson } from "../../utils/export";
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE = 300;
+
+const EXPORT_COLUMNS = [
+  "id",
+  "created_at",
+  "name",
+  "email",
+  "message",
+  "read_at",
+  "replied_at",
+  "archived_at",
+];
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" }) : "";
+
+const StatusToggle = ({ active, onClick, disabled, children }) => (
+  <button
+    type='button'
+    onClick={onClick}
+    disabled={disabled}
+    aria-pressed={active}
+    className={`${
+      active ? "bg-accent text-white" : "bg-tertiary text-secondary hover:text-foreground"
+    } py-1 px-3 rounded-full text-[12px] font-medium disabled:opacity-60`}
+  >
+    {children}
+  </button>
+);
+
+const SubmissionRow = ({ submission, onToggle, busy }) => (
+  <li className={`bg-black-100 rounded-2xl p-5 ${submission.read_at ? "" : "border-s-4 border-accent"}`}>
+    <div className='flex flex-wrap justify-between items-start gap-3'>
+      <div>
+        <p className='text-foreground font-bold text-[16px]'>{submission.name}</p>
+        <a
+          href={`mailto:${submission.email}`}
+          className='text-secondary text-[14px] hover:text-foreground'
+        >
+          {submission.email}
+        </a>
+      </div>
+      <time dateTime={submission.created_at} className='text-secondary text-[12px]'>
+        {formatDate(submission.created_at)}
+      </time>
+    </div>
+
+    <p className='mt-3 text-white-100 text-[14px] whitespace-pre-wrap break-words'>
+      {submission.message}
+    </p>
+
+    <div className='mt-4 flex flex-wrap gap-2'>
+      <StatusToggle
+        active={Boolean(submission.read_at)}
+        disabled={busy}
+        onClick={() => onToggle(submission, "read", !submission.read_at)}
+      >
+        {submission.read_at ? "Read" : "Mark read"}
+      </StatusToggle>
+      <StatusToggle
+        active={Boolean(submission.replied_at)}
+        disabled={busy}
+        onClick={() => onToggle(submission, "replied", !submission.replied_at)}
+      >
+        {submission.replied_at ? "Replied" : "Mark replied"}
+      </StatusToggle>
+      <StatusToggle
+        active={Boolean(submission.archived_at)}
+        disabled={busy}
+        onClick={() => onToggle(submission, "archived", !submission.archived_at)}
+      >
+        {submission.archived_at ? "Archived" : "Archive"}
+      </StatusToggle>
+    </div>
+  </li>
+);
+
+const Submissions = () => {
+  const [filters, setFilters] = useState({ search: "", view: "inbox", from: "", to: "" });
+  const [search, setSearch] = useState("");
+  const [page, setPage] = useState(0);
+  const [result, setResult] = useState({ rows: [], total: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [busyId, setBusyId] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  // Debounce the search box so every keystroke does not hit the database
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((current) => (current.search === search ? current : { ...current, search }));
+      setPage(0);
+    }, SEARCH_DEBOUNCE);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  // A response for filters or a page that have since changed is dropped, so a
+  // slow one cannot overwrite the rows of the request that replaced it
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError("");
+
+    fetchSubmissions(filters, { page, pageSize: PAGE_SIZE })
+      .then((loaded) => {
+        if (!cancelled) setResult(loaded);
+      })
+      .catch((loadError) => {
+        console.error("Error loading submissions:", loadError);
+        if (!cancelled) setError("Could not load submissions.");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, page]);
+
+  const updateFilter = (name, value) => {
+    setFilters({ ...filters, [name]: value });
+    setPage(0);
+  };
+
+  const handleToggle = async (submission, status, enabled) => {
+    setBusyId(submission.id);
+
+    try {
+      const updated = await setSubmissionStatus(submission, status, enabled);
+      setResult((current) => ({
+        ...current,
+        rows: current.rows.map((row) => (row.id === updated.id ? updated : row)),
+      }));
+    } catch (updateError) {
+      console.error("Error updating submission:", updateError);
+      setError("Could not update the submission.");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+
+    try {
+      const rows = await fetchAllSubmissions(filters);
+      const stamp = new Date().toISOString().slice(0, 10);
+
+      if (format === "csv") {
+        downloadFile(`contact-submissions-${stamp}.csv`, toCsv(rows, EXPORT_COLUMNS), "text/csv;charset=utf-8");
+      } else {
+        downloadFile(`contact-submissions-${stamp}.json`, toJson(rows), "application/json");
+      }
+    } catch (exportError) {
+      console.error("Error exporting submissions:", exportError);
+      setError("Could not export submissions.");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+
+  return (
+    <div>
+      <div className='flex flex-wrap gap-2' role='group' aria-label='Filter by status'>
+        {VIEWS.map((view) => (
+          <StatusToggle
+            key={view.id}
+            active={filters.view === view.id}
+            onClick={() => updateFilter("view", view.id)}
+          >
+            {view.title}
+          </StatusToggle>
+        ))}
+      </div>
+
+      <div className='mt-6 grid grid-cols-1 md:grid-cols-4 gap-4'>
+        <label className='flex flex-col md:col-span-2'>
+          <span className='text-secondary text-[12px] mb-1'>Search</span>
+          <input
+            type='search'
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder='Name, email or message'
+            className='bg-tertiary py-2 px-4 placeholder:text-secondary text-foreground rounded-lg border-none'
+          />
+        </label>
+        <label className='flex flex-col'>
+          <span className='text-secondary text-[12px] mb-1'>From</span>
+          <input
+            type='date'
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilter("from", e.target.value)}
+            className='bg-tertiary py-2 px-4 text-foreground rounded-lg border-none'
+          />
+        </label>
+        <label className='flex flex-col'>
+          <span className='text-secondary text-[12px] mb-1'>To</span>
+          <input
+            type='date'
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilter("to", e.target.value)}
+            className='bg-tertiary py-2 px-4 text-foreground rounded-lg border-none'
+          />
+        </label>
+      </div>
+
+      <div className='mt-6 flex flex-wrap justify-between items-center gap-4'>
+        <p className='text-secondary text-[14px]' aria-live='polite'>
+          {loading ? "Loading..." : `${result.total} submission${result.total === 1 ? "" : "s"}`}
+        </p>
+        <div className='flex gap-2'>
+          <button
+            type='button'
+            onClick={() => handleExport("csv")}
+            disabled={exporting || !result.total}
+            className='bg-tertiary py-2 px-4 rounded-lg text-foreground text-[14px] disabled:opacity-60'
+          >
+            Export CSV
+          </button>
+          <button
+            type='button'
+            onClick={() => handleExport("json")}
+            disabled={exporting || !result.total}
+            className='bg-tertiary py-2 px-4 rounded-lg text-foreground text-[14px] disabled:opacity-60'
+          >
+            Export JSON
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <p role='alert' className='mt-4 text-red-400 text-[14px]'>
+          {error}
+        </p>
+      )}
+
+      <ul className='mt-6 flex flex-col gap-4 list-none'>
+        {result.rows.map((submission) => (
+          <SubmissionRow
+            key={submission.id}
+            submission={submission}
+            busy={busyId === submission.id}
+            onToggle={handleToggle}
+          />
+        ))}
+      </ul>
+
+      {!loading && !result.rows.length && (
+        <p className='mt-6 text-secondary text-center'>No submissions match these filters.</p>
+      )}
+
+      <nav aria-label='Pagination' className='mt-8 flex justify-center items-center gap-4'>
+        <button
+          type='button'
+          onClick={() => setPage(page - 1)}
+          disabled={page === 0 || loading}
+          className='bg-tertiary py-2 px-4 rounded-lg text-foreground text-[14px] disabled:opacity-60'
+        >
+          Previous
+        </button>
+        <span className='text-secondary text-[14px]'>
+          Page {page + 1} of {pageCount}
+        </span>
+        <button
+          type='button'
+          onClick={() => setPage(page + 1)}
+          disabled={page + 1 >= pageCount || loading}
+          className='bg-tertiary py-2 px-4 rounded-lg text-foreground text-[14px] disabled:opacity-60'
+        >
+          Next
+        </button>
+      </nav>
+    </div>
+  );
+};
+
+export default Submissions;
@@ -0,0 +1,3 @@
+import Admin from "./Admin";
+
+export { Admin };
@@ -0,0 +1,109 @@
+import React, { useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { posts } from "virtual:blog";
+
+import { styles } from "../../styles";
+import PostMeta from "./PostMeta";
+import { useTranslation } from "../../i18n";
+import { useMotionPresets } from "../../motion";
+
+const allTags = [...new Set(posts.flatMap((post) => post.tags))].sort();
+
+const PostCard = ({ post, index }) => {
+  const { t } = useTranslation();
+  const { fadeIn } = useMotionPresets();
+
+  return (
+    <motion.article
+      variants={fadeIn("up", "spring", index * 0.2, 0.75)}
+      className='bg-tertiary rounded-2xl overflow-hidden flex flex-col sm:flex-row'
+    >
+      {post.cover && (
+        <img
+          src={post.cover}
+          alt={t("blog.coverAlt", { title: post.title })}
+          loading='lazy'
+          className='sm:w-[280px] h-[200px] sm:h-auto object-cover'
+        />
+      )}
+      <div className='p-6 flex flex-col gap-3'>
+        <h2 className='text-foreground font-bold text-[24px]'>
+          <Link to={`/blog/${post.slug}`} className='hover:underline'>
+            {post.title}
+          </Link>
+        </h2>
+        <PostMeta post={post} />
+        <p className='text-secondary text-[16px] leading-[26px]'>{post.description}</p>
+      </div>
+    </motion.article>
+  );
+};
+
+/** Every post, newest first, or only those with the `:tag` route param. */
+const BlogIndex = () => {
+  const { tag } = useParams();
+  const { t } = useTranslation();
+  const { textVariant } = useMotionPresets();
+  const visible = tag ? posts.filter((post) => post.tags.includes(tag)) : posts;
+
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [tag]);
+
+  return (
+    <motion.div
+      key={tag || "all"}
+      initial='hidden'
+      animate='show'
+      className={`${styles.padding} max-w-5xl mx-auto min-h-screen pt-32`}
+    >
+      <motion.header variants={textVariant()}>
+        <p className={styles.sectionSubText}>{t("blog.subtitle")}</p>
+        <h1 className={styles.sectionHeadText}>
+          {tag ? t("blog.tagTitle", { tag }) : t("blog.title")}
+        </h1>
+        {!tag && <p className='mt-4 text-secondary text-[17px] max-w-3xl leading-[30px]'>{t("blog.intro")}</p>}
+      </motion.header>
+
+      <nav aria-label={t("blog.tags")} className='mt-8'>
+        <ul className='flex flex-wrap gap-3 list-none'>
+          <li>
+            <Link
+              to='/blog'
+              aria-current={tag ? undefined : "page"}
+              className={`py-2 px-4 rounded-full text-[14px] ${
+                tag ? "bg-tertiary text-secondary hover:text-foreground" : "bg-accent text-white"
+              }`}
+            >
+              {t("blog.allPosts")}
+            </Link>
+          </li>
+          {allTags.map((item) => (
+            <li key={item}>
+              <Link
+                to={`/blog/tags/${item}`}
+                aria-current={item === tag ? "page" : undefined}
+                className={`py-2 px-4 rounded-full text-[14px] ${
+                  item === tag ? "bg-accent text-white" : "bg-tertiary text-secondary hover:text-foreground"
+                }`}
+              >
+                #{item}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </nav>
+
+      <div className='mt-12 flex flex-col gap-8'>
+        {visible.length ? (
+          visible.map((post, index) => <PostCard key={post.slug} post={post} index={index} />)
+        ) : (
+          <p className='text-secondary text-[17px]'>{t("blog.noPosts")}</p>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+export default BlogIndex;
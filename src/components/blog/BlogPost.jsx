@@ -0,0 +1,116 @@
+import React, { Suspense, useEffect } from "react";
+import { Link, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { posts } from "virtual:blog";
+
+import { styles } from "../../styles";
+import mdxComponents from "./mdxComponents";
+import PostMeta from "./PostMeta";
+import { useContent, useTranslation } from "../../i18n";
+import { useMotionPresets } from "../../motion";
+
+const Arrow = ({ children }) => (
+  <span aria-hidden='true' className='inline-block rtl:-scale-x-100'>
+    {children}
+  </span>
+);
+
+const RelatedProjects = ({ slugs }) => {
+  const { t } = useTranslation();
+  const { projects } = useContent();
+  const related = projects.filter((project) => slugs.includes(project.slug));
+
+  if (!related.length) return null;
+
+  return (
+    <section className='mt-16 border-t border-tertiary pt-8'>
+      <h2 className='text-foreground font-bold text-[24px]'>{t("blog.relatedProjects")}</h2>
+      <ul className='mt-6 grid grid-cols-1 sm:grid-cols-2 gap-6 list-none'>
+        {related.map((project) => (
+          <li key={project.slug}>
+            <Link to={`/projects/${project.slug}`} className='group block bg-tertiary rounded-2xl p-4'>
+              <img
+                src={project.image}
+                alt=''
+                loading='lazy'
+                className='w-full h-[160px] object-cover rounded-xl'
+              />
+              <span className='mt-3 block text-foreground font-bold text-[18px] group-hover:underline'>
+                {project.name}
+              </span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+};
+
+const BlogPost = () => {
+  const { slug } = useParams();
+  const { t } = useTranslation();
+  const { fadeIn, textVariant } = useMotionPresets();
+  const post = posts.find((item) => item.slug === slug);
+
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [slug]);
+
+  if (!post) {
+    return (
+      <div className={`${styles.padding} max-w-7xl mx-auto min-h-screen pt-32`}>
+        <h1 className={styles.sectionHeadText}>{t("blog.notFoundTitle")}</h1>
+        <p className='mt-4 text-secondary text-[17px]'>
+          {t("blog.notFoundBody")}{" "}
+          <Link to='/blog' className='text-foreground underline'>
+            {t("blog.allPosts")}
+          </Link>
+        </p>
+      </div>
+    );
+  }
+
+  const { Content } = post;
+
+  return (
+    <motion.article
+      key={post.slug}
+      initial='hidden'
+      animate='show'
+      className={`${styles.padding} max-w-3xl mx-auto min-h-screen pt-32`}
+    >
+      <Link to='/blog' className='text-secondary text-[14px] hover:text-foreground'>
+        <Arrow>&larr;</Arrow> {t("blog.allPosts")}
+      </Link>
+
+      <motion.header variants={textVariant()} className='mt-6'>
+        <h1 className='text-foreground font-black md:text-[48px] sm:text-[40px] text-[30px] leading-tight'>
+          {post.title}
+        </h1>
+        <div className='mt-4'>
+          <PostMeta post={post} />
+        </div>
+      </motion.header>
+
+      {post.cover && (
+        <motion.img
+          variants={fadeIn("up", "tween", 0.1, 0.6)}
+          src={post.cover}
+          alt={t("blog.coverAlt", { title: post.title })}
+          className='mt-10 w-full rounded-2xl object-cover'
+        />
+      )}
+
+      {/* Posts are written in English, whatever the interface language */}
+      <div lang='en' dir='ltr' className='mt-6'>
+        <Suspense fallback={<p className='mt-5 text-secondary text-[17px]'>{post.description}</p>}>
+          <Content components={mdxComponents} />
+        </Suspense>
+      </div>
+
+      <RelatedProjects slugs={post.projects} />
+    </motion.article>
+  );
+};
+
+export default BlogPost;
@@ -0,0 +1,26 @@
+import { Link } from "react-router-dom";
+
+import { useTranslation } from "../../i18n";
+
+// Date, reading time and tag links, shared by the list and the post itself
+const PostMeta = ({ post }) => {
+  const { t, formatDate } = useTranslation();
+
+  return (
+    <div className='flex flex-wrap items-center gap-x-4 gap-y-2 text-secondary text-[14px]'>
+      <time dateTime={post.date}>{formatDate(post.date)}</time>
+      <span>{t("blog.readingTime", { count: post.readingTime })}</span>
+      <ul className='flex flex-wrap gap-2 list-none'>
+        {post.tags.map((tag) => (
+          <li key={tag}>
+            <Link to={`/blog/tags/${tag}`} className='text-accent-soft hover:text-foreground'>
+              #{tag}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PostMeta;
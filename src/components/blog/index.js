@@ -0,0 +1,4 @@
+import BlogIndex from "./BlogIndex";
+import BlogPost from "./BlogPost";
+
+export { BlogIndex, BlogPost };
@@ -0,0 +1,58 @@
+import { Link } from "react-router-dom";
+
+import { useContent } from "../../i18n";
+
+// Links a project by slug from inside a post: <ProjectLink slug="lead-capture" />
+const ProjectLink = ({ slug, children }) => {
+  const { projects } = useContent();
+  const project = projects.find((item) => item.slug === slug);
+
+  return (
+    <Link to={`/projects/${slug}`} className='text-accent-soft underline hover:text-foreground'>
+      {children || project?.name || slug}
+    </Link>
+  );
+};
+
+// Site links stay in the router; everything else opens in a new tab
+const Anchor = ({ href = "", children, ...props }) =>
+  href.startsWith("/") ? (
+    <Link to={href} className='text-accent-soft underline hover:text-foreground'>
+      {children}
+    </Link>
+  ) : (
+    <a
+      href={href}
+      target={href.startsWith("#") ? undefined : "_blank"}
+      rel='noopener noreferrer'
+      className='text-accent-soft underline hover:text-foreground'
+      {...props}
+    >
+      {children}
+    </a>
+  );
+
+/** Styles for the elements MDX renders, plus the components posts can use. */
+const mdxComponents = {
+  ProjectLink,
+  a: Anchor,
+  h2: (props) => <h2 className='mt-12 text-foreground font-bold text-[28px]' {...props} />,
+  h3: (props) => <h3 className='mt-8 text-foreground font-bold text-[22px]' {...props} />,
+  p: (props) => <p className='mt-5 text-secondary text-[17px] leading-[30px]' {...props} />,
+  ul: (props) => <ul className='mt-5 list-disc ms-5 space-y-2 text-secondary text-[17px]' {...props} />,
+  ol: (props) => <ol className='mt-5 list-decimal ms-5 space-y-2 text-secondary text-[17px]' {...props} />,
+  li: (props) => <li className='ps-1 leading-[28px]' {...props} />,
+  strong: (props) => <strong className='text-foreground font-semibold' {...props} />,
+  blockquote: (props) => (
+    <blockquote className='mt-5 border-s-4 border-accent ps-4 italic text-white-100' {...props} />
+  ),
+  // Inline code; in code blocks the highlighter's classes replace these
+  code: (props) => (
+    <code className='rounded bg-tertiary px-1.5 py-0.5 text-[15px] text-foreground' {...props} />
+  ),
+  pre: (props) => (
+    <pre dir='ltr' className='mt-6 overflow-x-auto rounded-xl bg-black-100 p-5 text-[14px] leading-[24px]' {...props} />
+  ),
+};
+
+export default mdxComponents;
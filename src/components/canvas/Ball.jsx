@@ -0,0 +1,109 @@
+import React, { useState } from "react";
+import { Decal, Float, Html, OrthographicCamera, useTexture } from "@react-three/drei";
+
+import SceneView from "./SceneView";
+import { useSceneView } from "./sceneViewContext";
+import { useMotion } from "../../motion";
+import { useTheme } from "../../theme";
+
+// Size of one grid cell in pixels, and the camera zoom that maps it to world units
+const CELL_SIZE = 120;
+const CELL_UNITS = 3;
+const ZOOM = CELL_SIZE / CELL_UNITS;
+
+const Ball = ({ name, icon, position, color, still }) => {
+  const [decal] = useTexture([icon]);
+  const [hovered, setHovered] = useState(false);
+  const { element } = useSceneView();
+
+  return (
+    <group position={position}>
+      <Float
+        enabled={!still}
+        speed={hovered ? 4 : 1.75}
+        rotationIntensity={hovered ? 2 : 1}
+        floatIntensity={2}
+        floatingRange={[-0.1, 0.1]}
+      >
+        <mesh
+          castShadow
+          receiveShadow
+          scale={hovered ? 1.15 : 1}
+          onPointerOver={(event) => {
+            event.stopPropagation();
+            setHovered(true);
+          }}
+          onPointerOut={() => setHovered(false)}
+        >
+          <icosahedronGeometry args={[1, 1]} />
+          <meshStandardMaterial
+            color={color}
+            polygonOffset
+            polygonOffsetFactor={-5}
+            flatShading
+          />
+          <Decal
+            position={[0, 0, 1]}
+            rotation={[2 * Math.PI, 0, 6.25]}
+            scale={1}
+            map={decal}
+          />
+        </mesh>
+
+        {hovered && (
+          <Html center portal={element} position={[0, -1.4, 0]} style={{ pointerEvents: "none" }}>
+            <p className='text-foreground text-[12px] font-semibold whitespace-nowrap'>
+              {name}
+            </p>
+          </Html>
+        )}
+      </Float>
+    </group>
+  );
+};
+
+const BallCanvas = ({ technologies, columns = 6, fallback }) => {
+  const { colors } = useTheme();
+  const { reduced } = useMotion();
+  const rows = Math.max(1, Math.ceil(technologies.length / columns));
+  const cols = Math.min(columns, Math.max(1, technologies.length));
+
+  const positionFor = (index) => {
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    // Center the last, possibly partial, row
+    const rowLength = row === rows - 1 ? technologies.length - row * cols : cols;
+
+    return [
+      (col - (rowLength - 1) / 2) * CELL_UNITS,
+      ((rows - 1) / 2 - row) * CELL_UNITS,
+      0,
+    ];
+  };
+
+  return (
+    <SceneView
+      className='relative mx-auto'
+      style={{ width: cols * CELL_SIZE, maxWidth: "100%", height: rows * CELL_SIZE }}
+      animated={!reduced}
+      fallback={fallback}
+    >
+      <OrthographicCamera makeDefault position={[0, 0, 10]} zoom={ZOOM} />
+      <ambientLight intensity={0.25} />
+      <directionalLight position={[0, 0, 5]} />
+
+      {technologies.map((technology, index) => (
+        <Ball
+          key={technology.name}
+          name={technology.name}
+          icon={technology.icon}
+          position={positionFor(index)}
+          color={colors.ball}
+          still={reduced}
+        />
+      ))}
+    </SceneView>
+  );
+};
+
+export default BallCanvas;
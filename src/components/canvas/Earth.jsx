@@ -1,149 +1,60 @@
-import React, { Suspense, useState, useEffect } from "react";
-import { Canvas } from "@react-three/fiber";
-import { OrbitControls, Preload, useGLTF } from "@react-three/drei";
+import React from "react";
+import { OrbitControls, PerspectiveCamera } from "@react-three/drei";
+import models from "virtual:models";
 
 import CanvasLoader from "../Loader";
+import SceneView from "./SceneView";
+import { useSceneView } from "./sceneViewContext";
+import useValidatedModel from "./useValidatedModel";
+import { useMotion } from "../../motion";
+import { useTheme } from "../../theme";
 
-const Earth = () => {
-  const earth = useGLTF("./planet/scene.gltf");
-  const [validatedModel, setValidatedModel] = useState(null);
-  const [isValidating, setIsValidating] = useState(true);
+const Earth = ({ fallbackColor }) => {
+  const { status, scene } = useValidatedModel(models.planet);
 
-  useEffect(() => {
-    if (!earth?.scene) {
-      setValidatedModel(null);
-      setIsValidating(false);
-      return;
-    }
-
-    try {
-      // Sanitize the model by removing/replacing corrupted geometries
-      const sanitizedScene = earth.scene.clone();
-      let hasCorruptedGeometry = false;
-      
-      earth.scene.traverse((child) => {
-        if (child.isMesh && child.geometry) {
-          const geometry = child.geometry;
-          let geometryCorrupted = false;
-          
-          try {
-            // Check position attribute
-            const positions = geometry.attributes.position;
-            if (positions?.array) {
-              for (let i = 0; i < positions.array.length; i++) {
-                if (!isFinite(positions.array[i])) {
-                  geometryCorrupted = true;
-                  break;
-                }
-              }
-            }
-
-            if (!geometryCorrupted) {
-              const normals = geometry.attributes.normal;
-              if (normals?.array) {
-                for (let i = 0; i < normals.array.length; i++) {
-                  if (!isFinite(normals.array[i])) {
-                    geometryCorrupted = true;
-                    break;
-                  }
-                }
-              }
-            }
-
-            if (!geometryCorrupted) {
-              const uvs = geometry.attributes.uv;
-              if (uvs?.array) {
-                for (let i = 0; i < uvs.array.length; i++) {
-                  if (!isFinite(uvs.array[i])) {
-                    geometryCorrupted = true;
-                    break;
-                  }
-                }
-              }
-            }
-
-            // If geometry is corrupted, mark it for removal
-            if (geometryCorrupted) {
-              hasCorruptedGeometry = true;
-              // Find corresponding child in sanitized scene and remove it
-              const sanitizedChild = sanitizedScene.getObjectByProperty('uuid', child.uuid);
-              if (sanitizedChild && sanitizedChild.parent) {
-                sanitizedChild.parent.remove(sanitizedChild);
-              }
-            }
-          } catch (error) {
-            console.warn("Earth geometry validation failed:", error);
-            geometryCorrupted = true;
-            hasCorruptedGeometry = true;
-            // Remove corrupted child from sanitized scene
-            const sanitizedChild = sanitizedScene.getObjectByProperty('uuid', child.uuid);
-            if (sanitizedChild && sanitizedChild.parent) {
-              sanitizedChild.parent.remove(sanitizedChild);
-            }
-          }
-        }
-      });
-
-      // If we found corrupted geometry, use sanitized scene, otherwise use original
-      if (hasCorruptedGeometry) {
-        console.warn("Corrupted geometry detected and removed from earth model");
-        setValidatedModel(null);
-      } else {
-        setValidatedModel(earth.scene);
-      }
-    } catch (error) {
-      console.warn('Earth model validation failed:', error);
-      setValidatedModel(null);
-    }
-    
-    setIsValidating(false);
-  }, [earth]);
-
-  if (isValidating) {
+  if (status === "validating") {
     return <CanvasLoader />;
   }
 
-  // Render fallback sphere if model is corrupted
-  if (!validatedModel) {
+  // Nothing usable survived validation
+  if (!scene) {
     return (
       <mesh>
         <sphereGeometry args={[2.5, 32, 32]} />
-        <meshStandardMaterial color="#4ade80" wireframe />
+        <meshStandardMaterial color={fallbackColor} wireframe />
       </mesh>
     );
   }
 
   return (
-    <primitive object={validatedModel} scale={2.5} position-y={0} rotation-y={0} />
+    <primitive object={scene} scale={2.5} position-y={0} rotation-y={0} />
   );
 };
 
-const EarthCanvas = () => {
+const EarthControls = ({ autoRotate }) => {
+  const { element } = useSceneView();
+
   return (
-    <Canvas
-      shadows
-      frameloop='demand'
-      dpr={[1, 2]}
-      gl={{ preserveDrawingBuffer: true }}
-      camera={{
-        fov: 45,
-        near: 0.1,
-        far: 200,
-        position: [-4, 3, 6],
-      }}
-    >
-      <Suspense fallback={<CanvasLoader />}>
-        <OrbitControls
-          autoRotate
-          enableZoom={false}
-          maxPolarAngle={Math.PI / 2}
-          minPolarAngle={Math.PI / 2}
-        />
-        <Earth />
+    <OrbitControls
+      domElement={element.current}
+      autoRotate={autoRotate}
+      enableZoom={false}
+      maxPolarAngle={Math.PI / 2}
+      minPolarAngle={Math.PI / 2}
+    />
+  );
+};
 
-        <Preload all />
-      </Suspense>
-    </Canvas>
+const EarthCanvas = () => {
+  const { colors } = useTheme();
+  const { reduced } = useMotion();
+
+  return (
+    <SceneView className='relative w-full h-full' animated={!reduced}>
+      <PerspectiveCamera makeDefault fov={45} near={0.1} far={200} position={[-4, 3, 6]} />
+      <EarthControls autoRotate={!reduced} />
+      <Earth fallbackColor={colors.earth} />
+    </SceneView>
   );
 };
 
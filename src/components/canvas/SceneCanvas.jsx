@@ -0,0 +1,87 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Canvas, useThree } from "@react-three/fiber";
+import { View } from "@react-three/drei";
+
+import ThreeErrorBoundary from "./ThreeErrorBoundary";
+import { setCanvasAvailable, useAnimating, useCanvasAvailable } from "./sceneViewContext";
+import { detectGraphics } from "../../lib/capabilities";
+
+// Past this many lost contexts the GPU is not coming back; the views fall back instead
+const MAX_CONTEXT_LOSSES = 3;
+
+// Views follow their DOM elements, so the canvas has to redraw when those move
+const RedrawOnScroll = () => {
+  const invalidate = useThree((state) => state.invalidate);
+
+  useEffect(() => {
+    const redraw = () => invalidate();
+    window.addEventListener("scroll", redraw, { passive: true });
+    window.addEventListener("resize", redraw);
+
+    return () => {
+      window.removeEventListener("scroll", redraw);
+      window.removeEventListener("resize", redraw);
+    };
+  }, [invalidate]);
+
+  return null;
+};
+
+const ContextLossListener = ({ onLost }) => {
+  const canvas = useThree((state) => state.gl.domElement);
+
+  useEffect(() => {
+    canvas.addEventListener("webglcontextlost", onLost);
+    return () => canvas.removeEventListener("webglcontextlost", onLost);
+  }, [canvas, onLost]);
+
+  return null;
+};
+
+/**
+ * The one WebGL canvas behind the page. Every `SceneView` is drawn into it,
+ * scissored to the view's element. Renders continuously only while an
+ * animated view is on screen, and on demand otherwise. A lost context is
+ * recovered by remounting the canvas with a fresh one.
+ */
+const SceneCanvas = () => {
+  const animating = useAnimating();
+  const available = useCanvasAvailable();
+  const [generation, setGeneration] = useState(0);
+  const losses = useRef(0);
+  const { tier } = detectGraphics();
+
+  const handleContextLost = useCallback(() => {
+    losses.current += 1;
+    console.warn(`[canvas] WebGL context lost (${losses.current}/${MAX_CONTEXT_LOSSES})`);
+
+    if (losses.current >= MAX_CONTEXT_LOSSES) {
+      setCanvasAvailable(false);
+    } else {
+      setGeneration((current) => current + 1);
+    }
+  }, []);
+
+  if (!available) {
+    return null;
+  }
+
+  return (
+    <ThreeErrorBoundary key={generation} fallback={null} onError={() => setCanvasAvailable(false)}>
+      <Canvas
+        frameloop={animating ? "always" : "demand"}
+        shadows={tier > 1}
+        dpr={tier > 1 ? [1, 2] : 1}
+        eventSource={document.getElementById("root")}
+        eventPrefix='client'
+        style={{ position: "fixed", inset: 0, pointerEvents: "none" }}
+      >
+        <View.Port />
+        <RedrawOnScroll />
+        <ContextLossListener onLost={handleContextLost} />
+      </Canvas>
+    </ThreeErrorBoundary>
+  );
+};
+
+export default SceneCanvas;
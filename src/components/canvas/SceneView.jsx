@@ -0,0 +1,58 @@
+import React, { Suspense, useEffect, useId, useMemo, useRef, useState } from "react";
+import { View } from "@react-three/drei";
+
+import CanvasLoader from "../Loader";
+import ThreeErrorBoundary from "./ThreeErrorBoundary";
+import { SceneViewContext, setViewAnimating, useCanvasAvailable } from "./sceneViewContext";
+
+// Start rendering a little before the view scrolls in
+const ROOT_MARGIN = "100px";
+
+/**
+ * A region of the page that the shared `SceneCanvas` draws a scene into.
+ * Off-screen views are not rendered at all; `animated` views keep the canvas
+ * rendering every frame while they are visible. When the scene throws, or
+ * there is no canvas to draw into, `fallback` is shown in its place.
+ */
+const SceneView = ({ className, style, animated = false, fallback = null, children }) => {
+  const ref = useRef(null);
+  const id = useId();
+  const [onscreen, setOnscreen] = useState(false);
+  const [sceneFailed, setSceneFailed] = useState(false);
+  const canvasAvailable = useCanvasAvailable();
+  const failed = sceneFailed || !canvasAvailable;
+
+  useEffect(() => {
+    if (!ref.current) return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => setOnscreen(entry.isIntersecting), {
+      rootMargin: ROOT_MARGIN,
+    });
+    observer.observe(ref.current);
+
+    return () => observer.disconnect();
+  }, [failed]);
+
+  useEffect(() => {
+    setViewAnimating(id, animated && onscreen && !failed);
+    return () => setViewAnimating(id, false);
+  }, [id, animated, onscreen, failed]);
+
+  const value = useMemo(() => ({ element: ref, active: onscreen }), [onscreen]);
+
+  if (failed) {
+    return fallback;
+  }
+
+  return (
+    <View ref={ref} className={className} style={style} visible={onscreen}>
+      <SceneViewContext.Provider value={value}>
+        <ThreeErrorBoundary fallback={null} onError={() => setSceneFailed(true)}>
+          <Suspense fallback={<CanvasLoader />}>{children}</Suspense>
+        </ThreeErrorBoundary>
+      </SceneViewContext.Provider>
+    </View>
+  );
+};
+
+export default SceneView;
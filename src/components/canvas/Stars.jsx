@@ -1,13 +1,20 @@
-import { useState, useRef, Suspense } from "react";
-import { Canvas, useFrame } from "@react-three/fiber";
-import { Points, PointMaterial, Preload } from "@react-three/drei";
+import { useState, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { PerspectiveCamera, Points, PointMaterial } from "@react-three/drei";
 import * as random from "maath/random/dist/maath-random.esm";
 
-const Stars = (props) => {
+import SceneView from "./SceneView";
+import { useSceneView } from "./sceneViewContext";
+import { useMotion } from "../../motion";
+import { useTheme } from "../../theme";
+
+const Stars = ({ color, still, ...props }) => {
   const ref = useRef();
+  const { active } = useSceneView();
   const [sphere] = useState(() => random.inSphere(new Float32Array(5000), { radius: 1.2 }));
 
   useFrame((state, delta) => {
+    if (still || !active) return;
     ref.current.rotation.x -= delta / 10;
     ref.current.rotation.y -= delta / 15;
   });
@@ -17,7 +24,7 @@ const Stars = (props) => {
       <Points ref={ref} positions={sphere} stride={3} frustumCulled {...props}>
         <PointMaterial
           transparent
-          color='#f272c8'
+          color={color}
           size={0.002}
           sizeAttenuation={true}
           depthWrite={false}
@@ -28,16 +35,15 @@ const Stars = (props) => {
 };
 
 const StarsCanvas = () => {
-  return (
-    <div className='w-full h-auto absolute inset-0 z-[-1]'>
-      <Canvas camera={{ position: [0, 0, 1] }}>
-        <Suspense fallback={null}>
-          <Stars />
-        </Suspense>
+  const { colors } = useTheme();
+  const { reduced } = useMotion();
 
-        <Preload all />
-      </Canvas>
-    </div>
+  return (
+    // With motion reduced the field is drawn once and stays put
+    <SceneView className='absolute inset-0 z-[-1]' animated={!reduced}>
+      <PerspectiveCamera makeDefault position={[0, 0, 1]} />
+      <Stars color={colors.stars} still={reduced} />
+    </SceneView>
   );
 };
 
@@ -0,0 +1,39 @@
+import React from "react";
+
+// Error Boundary Component
+class ThreeErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    console.warn("Three.js rendering error caught:", error);
+    this.props.onError?.(error);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      if (this.props.fallback !== undefined) {
+        return this.props.fallback;
+      }
+
+      return (
+        <div className="w-full h-full flex items-center justify-center">
+          <div className="text-foreground text-center">
+            <div className="w-16 h-16 bg-accent rounded-lg mx-auto mb-4"></div>
+            <p>3D Model Loading...</p>
+          </div>
+        </div>
+      );
+    }
+
+    return this.props.children;
+  }
+}
+
+export default ThreeErrorBoundary;
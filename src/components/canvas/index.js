@@ -1,5 +1,7 @@
 import EarthCanvas from "./Earth";
+import BallCanvas from "./Ball";
 import ComputersCanvas from "./Computers";
 import StarsCanvas from "./Stars";
+import SceneCanvas from "./SceneCanvas";
 
-export { EarthCanvas, ComputersCanvas, StarsCanvas };
+export { EarthCanvas, BallCanvas, ComputersCanvas, StarsCanvas, SceneCanvas };
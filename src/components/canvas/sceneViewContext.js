@@ -0,0 +1,53 @@
+import { createContext, useContext, useSyncExternalStore } from "react";
+
+import { detectGraphics } from "../../lib/capabilities";
+
+// Provided inside each scene view, so it is available from within the shared canvas
+export const SceneViewContext = createContext(null);
+
+/**
+ * `{ element, active }` for the surrounding scene view: a ref to the DOM
+ * element it renders into, and whether it is on screen. `null` outside a view.
+ */
+export const useSceneView = () => useContext(SceneViewContext);
+
+// Views with something moving in them; the canvas renders continuously while any is on screen
+const animatingViews = new Set();
+const listeners = new Set();
+// Cleared when the canvas keeps losing its context; until then it follows WebGL support
+let canvasAvailable = null;
+const isCanvasAvailable = () => canvasAvailable ?? detectGraphics().webgl;
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const setViewAnimating = (id, animating) => {
+  const changed = animating ? !animatingViews.has(id) : animatingViews.has(id);
+  if (!changed) return;
+
+  if (animating) {
+    animatingViews.add(id);
+  } else {
+    animatingViews.delete(id);
+  }
+  notify();
+};
+
+export const setCanvasAvailable = (available) => {
+  if (isCanvasAvailable() === available) return;
+  canvasAvailable = available;
+  notify();
+};
+
+export const useAnimating = () =>
+  useSyncExternalStore(subscribe, () => animatingViews.size > 0, () => false);
+
+/**
+ * Whether the shared canvas can draw at all; views show their fallback
+ * otherwise. Always false in prerendered pages, so they carry the fallbacks.
+ */
+export const useCanvasAvailable = () => useSyncExternalStore(subscribe, isCanvasAvailable, () => false);
@@ -0,0 +1,20 @@
+import { chooseSceneQuality, detectGraphics } from "../../lib/capabilities";
+import { useMotion } from "../../motion";
+import useMediaQuery from "../../utils/useMediaQuery";
+import { useCanvasAvailable } from "./sceneViewContext";
+
+const SMALL_SCREEN_QUERY = "(max-width: 500px)";
+
+/**
+ * "full", "lite" or "poster" for this device, from its GPU, screen size and
+ * power state. Follows the canvas, so a canvas that gives up ends in "poster".
+ */
+const useSceneQuality = () => {
+  const { lowPower } = useMotion();
+  const available = useCanvasAvailable();
+  const smallScreen = useMediaQuery(SMALL_SCREEN_QUERY);
+
+  return chooseSceneQuality({ tier: detectGraphics().tier, available, smallScreen, lowPower });
+};
+
+export default useSceneQuality;
@@ -0,0 +1,59 @@
+import { useEffect, useState } from "react";
+import { useGLTF } from "@react-three/drei";
+
+import { validateModel } from "../../lib/models";
+
+// Dev builds keep every report around for inspection from the console
+const publishReport = (report) => {
+  if (!import.meta.env.DEV) return;
+
+  window.__modelReports = { ...window.__modelReports, [report.name]: report };
+
+  if (report.removed.length) {
+    console.groupCollapsed(
+      `[models] ${report.name}: removed ${report.removed.length} of ${report.meshCount} meshes with invalid geometry`
+    );
+    console.table(
+      report.removed.map(({ name, attributes }) => ({ mesh: name, ...attributes }))
+    );
+    console.groupEnd();
+  }
+};
+
+/**
+ * Loads a glTF model and validates it before it is shown. Returns
+ * `{ status, scene, report }`, where `status` is "validating", "ready" or
+ * "failed" (no usable meshes, or the scan threw) and `scene` is the model
+ * with any broken meshes removed.
+ */
+const useValidatedModel = (url) => {
+  const gltf = useGLTF(url);
+  const [result, setResult] = useState({ status: "validating", scene: null, report: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    setResult({ status: "validating", scene: null, report: null });
+
+    validateModel(gltf.scene, { name: url })
+      .then(({ scene, report }) => {
+        publishReport(report);
+        if (!cancelled) {
+          setResult({ status: scene ? "ready" : "failed", scene, report });
+        }
+      })
+      .catch((error) => {
+        console.warn(`Model validation failed for ${url}:`, error);
+        if (!cancelled) {
+          setResult({ status: "failed", scene: null, report: null });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [gltf, url]);
+
+  return result;
+};
+
+export default useValidatedModel;
@@ -1,10 +1,11 @@
-import { EarthCanvas, ComputersCanvas, StarsCanvas } from './canvas';
+import { EarthCanvas, BallCanvas, ComputersCanvas, StarsCanvas, SceneCanvas } from './canvas';
 import Hero from "./Hero";
 import Navbar from "./Navbar";
 import About from "./About";
 import Tech from "./Tech";
 import Experience from "./Experience";
 import Works from "./Works";
+import Feedbacks from "./Feedbacks";
 import Contact from "./Contact";
 import CanvasLoader from "./Loader";
 
@@ -16,9 +17,12 @@ export {
   Tech,
   Experience,
   Works,
+  Feedbacks,
   Contact,
   CanvasLoader,
   EarthCanvas, 
+  BallCanvas,
   ComputersCanvas, 
-  StarsCanvas
+  StarsCanvas,
+  SceneCanvas
 };
@@ -1,239 +1,19 @@
-
+// Portfolio content lives in `src/content/*.json` and is validated at build
+// time by `plugins/content`; this module keeps the shapes components expect.
 import {
-  logo,
-  creator,
-  mobile,
-  web,
-  backend,
-  github,
-  menu,
-  close,
-  css,
-  gearXpert,
-  leadcapture,
-  project3,
-  mysql,
-  express,
-  aws,
-  mui,
-  
-  gsap,
-  framer,
-  figma,
-  falakai_logo,
-  git,
-  html,
-  javascript,
-  mongodb,
-  nodejs,
-  reactjs,
-  redux,
-  tailwind,
-  threejs,
-  firstTestimonial,
-  secondTestimonial,
-  thirdTestimonial,
-  n8ntemplates,
-  invoiceAutomation,
-} from '../assets'
-
-export const navLinks = [
-
-
-  {
-    id: "about",
-    title: "About",
-    
-  },
-  {
-    id: "work",
-    title: "Work",
-  },
-  {
-    id: "contact",
-    title: "Contact",
-  },
-];
-
-const services = [
-  {
-    title: "Full-Stack Developer",
-    icon: web,
-  },
-  {
-    title: "Frontend Developer",
-    icon: mobile,
-  },
-  {
-    title: "Backend Developer",
-    icon: creator,
-  },
-  {
-    title: "Automation Developer",
-    icon: backend,
-  },
-];
-
-const technologies = [
-  {
-    name: "HTML 5",
-    icon: html,
-  },
-  {
-    name: "CSS 3",
-    icon: css,
-  },
-  {
-    name: "JavaScript",
-    icon: javascript,
-  },
-  {
-    name: "React JS",
-    icon: reactjs,
-  },
-  {
-    name: "gsap",
-    icon: gsap,
-  },
-  {
-    name: "framer",
-    icon: framer,
-  },
-
- 
-  {
-    name: "Three JS",
-    icon: threejs,
-  },
-  {
-    name: "figma",
-    icon: figma,
-  },
-  {
-    name: "Redux Toolkit",
-    icon: redux,
-  },
-  {
-    name: "Tailwind CSS",
-    icon: tailwind,
-  },
-  {
-    name: "Material Ui",
-    icon: mui,
-  },
-  {
-    name: "Node JS",
-    icon: nodejs,
-  },
-  {
-    name: "Express Js",
-    icon: express,
-  },
-  {
-    name: "AWS",
-    icon: aws,
-  },
-  {
-    name: "MongoDB",
-    icon: mongodb,
-  },
-  {
-    name: "MySql",
-    icon: mysql,
-  },
-
-  {
-    name: "git",
-    icon: git,
-  },
- 
-
-];
-
-const experiences = [
-  {
-    title: "Full-Stack Developer",
-    company_name: "FalakAI",
-    icon: falakai_logo,
-    iconBg: "#383E56",
-    date: "Jan 2023 - present",
-    points: [
-      "Developing and maintaining web applications.",
-      "Implementing responsive design and ensuring cross-browser compatibility.",
-      "Participating in code reviews and providing constructive feedback to other developers.",
-    ],
-  },
-];
-
-const testimonials = [
-  {
-    testimonial:
-      "I thought it was impossible to make a website as beautiful as our product, but Huzaif proved me wrong.",
-    name: "MD Mustaqeem",
-    designation: "Ecommerce",
-    company: "QuickMart",
-    image: firstTestimonial,
-  },
-  {
-    testimonial:
-      "I've never met a web developer who truly cares about their clients' success like Huzaif does.",
-    name: "Abdul Raheman",
-    designation: "Ecommerce Business",
-    company: "justbuyz",
-    image: secondTestimonial,
-  },
-  {
-    testimonial:
-      "After Huzaif optimized our website, our traffic increased by 50%. We can't thank them enough!",
-    name: "James Wang",
-    designation: "CTO",
-    company: "456 Enterprises",
-    image: thirdTestimonial,
-  },
-];
-
-const projects = [
-  {
-    name: "N8n Templates",
-    description:
-      "N8n Templates is a web-based platform that allows users to search, explore, and purchase n8n templates from various providers, offering a seamless and efficient shopping experience.",
-    tags: [
-      {
-        name: "react",
-        color: "blue-text-gradient",
-      },
-      {
-        name: "tailwind",
-        color: "white-text-gradient",
-      },
-      {
-        name: "HTML",
-        color: "pink-text-gradient",
-      },
-      {
-        name: "vite",
-        color: "green-text-gradient",
-      },
- 
-    ],
-    image: n8ntemplates,
-    source_code_link: "https://crmsai.com",
-  },
-  {
-    name: "Lead Capture",
-    description:
-      "An automated lead capture system collects form submissions, enriches contact data, and seamlessly routes qualified leads to CRM or email marketing tools for instant follow-up and tracking.",
-    tags: [],
-    image: leadcapture,
-  },
-  {
-    name: "Invoice & Payment Automation",
-    description:
-      "An automated workflow that generates invoices, sends payment reminders, updates accounting systems, and notifies teams—streamlining billing processes and ensuring faster, error-free revenue collection.",
-    tags: [],
-    image: invoiceAutomation,
-    source_code_link: null,
-  },
-];
-
-export { services, technologies, experiences, testimonials, projects };
+  site,
+  services,
+  techCategories,
+  technologies,
+  experiences,
+  testimonials,
+  projects,
+  contentLocales,
+} from "virtual:content";
+
+export { site };
+
+export { services, techCategories, technologies, experiences, testimonials, projects };
+
+// Translated copies of the collections above, e.g. `contentLocales.ar.projects`
+export { contentLocales };
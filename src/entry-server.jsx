@@ -0,0 +1,36 @@
+import React from "react";
+import { renderToString } from "react-dom/server";
+import { StaticRouter } from "react-router-dom/server";
+
+import App, { Providers } from "./App";
+import { getSections } from "./hoc";
+import { pageMeta, pagePaths, renderHead, sitemapPaths, siteUrl } from "./seo";
+
+// Used by `plugins/prerender` at build time to write static HTML for each page
+export { pagePaths, sitemapPaths, siteUrl };
+
+export const render = (url) => ({
+  html: renderToString(
+    <React.StrictMode>
+      <StaticRouter location={url}>
+        <App />
+      </StaticRouter>
+    </React.StrictMode>
+  ),
+  head: renderHead(pageMeta(url)),
+});
+
+// Used by `npm run test:a11y` to check every registered section on its own
+export const renderSections = () =>
+  getSections().map(({ id, owner, component: Section }) => ({
+    name: id ? `#${id}` : owner,
+    html: renderToString(
+      <React.StrictMode>
+        <StaticRouter location='/'>
+          <Providers>
+            <Section />
+          </Providers>
+        </StaticRouter>
+      </React.StrictMode>
+    ),
+  }));
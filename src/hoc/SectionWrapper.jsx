@@ -1,25 +1,50 @@
 import { motion } from "framer-motion";
 
 import { styles } from "../styles";
-import { staggerContainer } from "../utils/motion";
+import { useMotionPresets } from "../motion";
+import { track } from "../lib/analytics";
+import { registerSection } from "./sections";
 
-const StarWrapper = (Component, idName) =>
+/**
+ * Wraps a home page section and registers it (see `./sections`), which is
+ * where the home page, the navbar and the footer's site map find it.
+ * `options` takes `id`, `label`, `order`, `nav`, `amount` and `backdrop`.
+ */
+const StarWrapper = (Component, options) => {
   function HOC() {
-    return (
+    const { staggerContainer } = useMotionPresets();
+    const { id, amount, backdrop: Backdrop } = section;
+
+    const content = (
       <motion.section
         variants={staggerContainer()}
         initial='hidden'
         whileInView='show'
-        viewport={{ once: true, amount: 0.25 }}
+        viewport={{ once: true, amount }}
+        onViewportEnter={() => track("section_view", id)}
         className={`${styles.padding} max-w-7xl mx-auto relative z-0`}
       >
-        <span className='hash-span' id={idName}>
+        <span className='hash-span' id={id || undefined}>
           &nbsp;
         </span>
 
         <Component />
       </motion.section>
     );
-  };
+
+    if (!Backdrop) return content;
+
+    return (
+      <div className='relative z-0'>
+        {content}
+        <Backdrop />
+      </div>
+    );
+  }
+
+  const section = registerSection(options, Component.displayName || Component.name, HOC);
+
+  return HOC;
+};
 
 export default StarWrapper;
@@ -1,3 +1,4 @@
 import SectionWrapper from "./SectionWrapper";
+import { getLinkedSections, getNavSections, getSections } from "./sections";
 
-export { SectionWrapper };
+export { SectionWrapper, getLinkedSections, getNavSections, getSections };
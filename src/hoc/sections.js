@@ -0,0 +1,64 @@
+// Every section wrapped by `SectionWrapper`, keyed by id. Sections register
+// when their module is first evaluated, so the registry is complete before
+// anything renders, on the server as well as in the browser.
+const registry = new Map();
+
+const warn = (message) => {
+  if (import.meta.env.DEV) console.warn(`[sections] ${message}`);
+};
+
+/**
+ * Adds a section to the registry and returns its normalized options:
+ * - `id`: the anchor id, required and unique (a duplicate throws)
+ * - `label`: i18n key of its title in navigation and tables of contents
+ * - `order`: position on the page, lowest first
+ * - `nav`: whether the navbar links to it (needs an `id` and a `label`)
+ * - `amount`: how much of it has to be in view before it animates in
+ * - `backdrop`: a component drawn behind it, such as a canvas
+ *
+ * `component` is what the home page renders for it, in `order`.
+ */
+export const registerSection = (
+  { id, label = null, order = 0, nav = false, amount = 0.25, backdrop = null },
+  owner = "section",
+  component = null
+) => {
+  const section = { id: id?.trim() ?? "", label, order, nav: false, amount, backdrop, owner, component };
+
+  // Still rendered without an id, just not linked to from anywhere
+  if (!section.id) {
+    warn(`${owner} has an empty id, so nothing can link to it and it is left out of navigation`);
+    registry.set(Symbol.for(owner), section);
+    return section;
+  }
+  if (nav && !label) {
+    warn(`"${section.id}" asks to be in the navbar but has no label`);
+  }
+  section.nav = nav && Boolean(label);
+
+  // Hot reloading evaluates the same module again; only a different owner is a real clash,
+  // and the home page renders from the registry, so one of them would silently go missing
+  const existing = registry.get(section.id);
+  if (existing && existing.owner !== owner) {
+    throw new Error(`Section id "${section.id}" is used by both ${existing.owner} and ${owner}; section ids must be unique`);
+  }
+
+  registry.set(section.id, section);
+  return section;
+};
+
+/**
+ * Registered sections in page order.
+ */
+export const getSections = () => [...registry.values()].sort((a, b) => a.order - b.order);
+
+/**
+ * The sections the navbar links to, in page order.
+ */
+export const getNavSections = () => getSections().filter((section) => section.nav);
+
+/**
+ * The sections anything can link to, in page order: the footer's site map
+ * and the sitemap list these.
+ */
+export const getLinkedSections = () => getSections().filter((section) => section.id && section.label);
@@ -0,0 +1,25 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getSections, registerSection } from "./sections.js";
+
+test("keeps sections in page order", () => {
+  registerSection({ id: "order-second", order: 20 }, "Second");
+  registerSection({ id: "order-first", order: 10 }, "First");
+
+  const ids = getSections().map((section) => section.id);
+  assert.ok(ids.indexOf("order-first") < ids.indexOf("order-second"));
+});
+
+test("throws when two sections share an id", () => {
+  registerSection({ id: "shared" }, "About");
+
+  assert.throws(() => registerSection({ id: "shared" }, "Works"), /"shared" is used by both About and Works/);
+  assert.equal(getSections().find((section) => section.id === "shared").owner, "About");
+});
+
+test("lets the same section register again when its module reloads", () => {
+  registerSection({ id: "reloaded", label: "sections.reloaded" }, "Reloaded");
+
+  assert.doesNotThrow(() => registerSection({ id: "reloaded", label: "sections.reloaded" }, "Reloaded"));
+});
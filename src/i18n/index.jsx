@@ -0,0 +1,149 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+
+import * as content from "../constants";
+import { useIsomorphicLayoutEffect } from "../utils/ssr";
+import en from "./locales/en.json";
+import ar from "./locales/ar.json";
+import ur from "./locales/ur.json";
+
+const STORAGE_KEY = "locale";
+const DEFAULT_LOCALE = "en";
+
+export const locales = [
+  { code: "en", label: "English", dir: "ltr" },
+  { code: "ar", label: "العربية", dir: "rtl" },
+  { code: "ur", label: "اردو", dir: "rtl" },
+];
+
+const catalogs = { en, ar, ur };
+
+const findLocale = (code) => locales.find((locale) => locale.code === code);
+
+// A saved choice wins, then the first browser language we have a catalog for
+const detectLocale = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (findLocale(saved)) return saved;
+  } catch (error) {
+    // Storage can be unavailable in private mode
+  }
+
+  const languages = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  const match = languages
+    .filter(Boolean)
+    .map((language) => language.toLowerCase().split("-")[0])
+    .find((language) => findLocale(language));
+
+  return match || DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((value, segment) => (value == null ? undefined : value[segment]), catalog);
+
+const interpolate = (message, values) =>
+  message.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    values[name] === undefined ? match : String(values[name])
+  );
+
+const I18nContext = createContext(null);
+
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
+  const { dir } = findLocale(locale);
+
+  // Prerendered pages are in the default locale, so switch after hydrating (still before paint)
+  useIsomorphicLayoutEffect(() => {
+    setLocale(detectLocale());
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  // Only a language the visitor picks is saved; a detected one follows the browser's settings
+  const chooseLocale = useCallback((code) => {
+    setLocale(code);
+
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      // Nothing to persist to; the choice lasts for this visit
+    }
+  }, []);
+
+  const value = useMemo(() => {
+    const pluralRules = new Intl.PluralRules(locale);
+    const monthFormat = new Intl.DateTimeFormat(locale, { month: "short", year: "numeric", timeZone: "UTC" });
+    const yearsFormat = new Intl.NumberFormat(locale, { style: "unit", unit: "year", unitDisplay: "long" });
+    const monthsFormat = new Intl.NumberFormat(locale, { style: "unit", unit: "month", unitDisplay: "long" });
+    const unitList = new Intl.ListFormat(locale, { style: "long", type: "unit" });
+    // Dates like "2024-05-01" parse as UTC midnight; formatting in UTC keeps the day everywhere
+    const dayFormat = new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" });
+
+    // Looks up `key` in the current catalog, falling back to English. With a
+    // numeric `count`, `key_<plural category>` is tried before `key_other`.
+    const t = (key, values = {}) => {
+      const catalog = catalogs[locale];
+      const candidates =
+        typeof values.count === "number"
+          ? [`${key}_${pluralRules.select(values.count)}`, `${key}_other`, key]
+          : [key];
+
+      for (const source of [catalog, catalogs[DEFAULT_LOCALE]]) {
+        for (const candidate of candidates) {
+          const message = lookup(source, candidate);
+          if (typeof message === "string") return interpolate(message, values);
+        }
+      }
+
+      if (import.meta.env.DEV) {
+        console.warn(`Missing translation for "${key}"`);
+      }
+      return key;
+    };
+
+    // Content months are written as "2023-01"
+    const formatMonth = (month) => {
+      const [year, index] = month.split("-").map(Number);
+      return monthFormat.format(Date.UTC(year, index - 1));
+    };
+
+    // A role without an end is still held
+    const formatPeriod = (start, end) =>
+      `${formatMonth(start)} – ${end ? formatMonth(end) : t("experience.present")}`;
+
+    // "1 year, 3 months", with plurals and units from the locale's own rules
+    const formatDuration = (months) => {
+      const years = Math.floor(months / 12);
+      const rest = months % 12;
+      return unitList.format([
+        ...(years ? [yearsFormat.format(years)] : []),
+        ...(rest || !years ? [monthsFormat.format(rest)] : []),
+      ]);
+    };
+
+    const formatDate = (date) => dayFormat.format(new Date(date));
+
+    return { locale, dir, setLocale: chooseLocale, t, formatMonth, formatPeriod, formatDuration, formatDate };
+  }, [locale, dir, chooseLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useTranslation = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error("useTranslation must be used inside <I18nProvider>");
+  }
+  return context;
+};
+
+/**
+ * Portfolio content in the current locale. Collections without a translation
+ * in `src/content/locales` come back as they are in `src/content`.
+ */
+export const useContent = () => {
+  const { locale } = useTranslation();
+  return useMemo(() => ({ ...content, ...content.contentLocales[locale] }), [locale]);
+};
@@ -0,0 +1,171 @@
+// Privacy-first visitor analytics. Events carry no cookies, no stored
+// identifiers and nothing typed by the visitor: a visit id lives in memory for
+// one page load, and links are recorded without their query strings.
+// Events are batched and sent to the `record_events` RPC.
+
+import { getSupabase, isSupabaseConfigured, sendRpc } from './supabase';
+import { isBrowser } from '../utils/ssr';
+
+export const EVENTS = ['page_view', 'section_view', 'scroll_depth', 'project_click', 'link_click', 'contact'];
+
+export const SCROLL_MILESTONES = [25, 50, 75, 100];
+
+// Matches the limits `record_events` enforces
+const MAX_BATCH = 50;
+const MAX_TARGET_LENGTH = 200;
+
+const FLUSH_DELAY = 10 * 1000;
+
+const queue = [];
+let flushTimer = null;
+let visitId = null;
+let started = false;
+
+const honorsOptOut = () =>
+  navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+
+// Dev builds only log, so working on the site does not skew the numbers
+const isEnabled = () =>
+  isBrowser && isSupabaseConfigured && import.meta.env.PROD && !honorsOptOut();
+
+const currentPath = () => window.location.pathname;
+
+const flush = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!queue.length) return;
+
+  const events = queue.splice(0, MAX_BATCH);
+  // Analytics are best effort; a lost batch is not worth retrying
+  sendRpc('record_events', { p_visit_id: visitId, p_events: events }).catch(() => {});
+
+  if (queue.length) flush();
+};
+
+/**
+ * Records an event. `target` says what it was about (a section id, a
+ * milestone, a project action, a link) and is trimmed to the server limit.
+ */
+export const track = (event, target = null) => {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`Unknown analytics event "${event}"`);
+  }
+  // The dashboard is not part of the site being measured
+  if (!isBrowser || currentPath().startsWith('/admin')) return;
+
+  const entry = {
+    event,
+    target: target === null ? null : String(target).slice(0, MAX_TARGET_LENGTH),
+    path: currentPath(),
+  };
+
+  if (!isEnabled()) {
+    if (import.meta.env.DEV) console.debug('[analytics]', entry);
+    return;
+  }
+
+  visitId ??= crypto.randomUUID();
+  queue.push(entry);
+
+  if (queue.length >= MAX_BATCH) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_DELAY);
+  }
+};
+
+// Host and path only; query strings, fragments and addresses can carry personal data
+const linkTarget = (url) => {
+  if (!url.host) return url.protocol.replace(/:$/, '');
+  return url.pathname === '/' ? url.host : `${url.host}${url.pathname}`;
+};
+
+const reachedMilestones = new Set();
+
+const recordScrollDepth = () => {
+  const { scrollHeight, clientHeight } = document.documentElement;
+  const scrollable = scrollHeight - clientHeight;
+  const depth = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+
+  SCROLL_MILESTONES.forEach((milestone) => {
+    // Rounding leaves the last pixel or two unreachable on some screens
+    if (depth >= milestone - 1 && !reachedMilestones.has(milestone)) {
+      reachedMilestones.add(milestone);
+      track('scroll_depth', milestone);
+    }
+  });
+};
+
+/**
+ * Starts the page-wide listeners: scroll depth, outbound link clicks and
+ * sending what is queued when the page is hidden. Safe to call more than once.
+ */
+export const startAnalytics = () => {
+  if (!isBrowser || started) return;
+  started = true;
+
+  let scrollFrame = null;
+  window.addEventListener(
+    'scroll',
+    () => {
+      if (scrollFrame !== null) return;
+      scrollFrame = requestAnimationFrame(() => {
+        scrollFrame = null;
+        recordScrollDepth();
+      });
+    },
+    { passive: true }
+  );
+
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (!link) return;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) {
+      track('link_click', linkTarget(url));
+    }
+  });
+
+  // The last chance to send anything; `keepalive` lets the request outlive the page
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+};
+
+/**
+ * Records a page view and starts scroll depth over for the new page.
+ */
+export const trackPageView = () => {
+  reachedMilestones.clear();
+  track('page_view');
+};
+
+/**
+ * Loads the dashboard summary for `[from, to)`: the number of distinct
+ * `visits`, and per event name a list of targets with their `events` and
+ * `visits` counts.
+ */
+export const fetchAnalyticsSummary = async ({ from, to }) => {
+  const supabase = await getSupabase();
+  const { data, error } = await supabase.rpc('analytics_summary', {
+    p_from: from.toISOString(),
+    p_to: to.toISOString(),
+  });
+
+  if (error) throw error;
+
+  // The row without an event holds the totals
+  const totals = data.find((row) => row.event === null);
+  const events = Object.fromEntries(
+    EVENTS.map((event) => [
+      event,
+      data
+        .filter((row) => row.event === event)
+        .map(({ target, events: count, visits }) => ({ target, events: Number(count), visits: Number(visits) })),
+    ])
+  );
+
+  return { visits: Number(totals?.visits ?? 0), events };
+};
@@ -0,0 +1,71 @@
+// Renderers that mean WebGL is emulated on the CPU
+const SOFTWARE_RENDERERS = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+// Older mobile and integrated GPUs that manage simple scenes but not shadows at high DPR
+const LOW_END_RENDERERS =
+  /mali-(4|t[678])\d\d|adreno \(tm\) [2-5]\d\d|powervr sgx|intel.*(gma|hd graphics [2-5]\d{2,3})/i;
+// Below this much memory (GB, Chromium only) the device counts as low end whatever its GPU
+const LOW_DEVICE_MEMORY = 2;
+
+const getContext = (attributes) => {
+  const canvas = document.createElement('canvas');
+  return canvas.getContext('webgl2', attributes) || canvas.getContext('webgl', attributes);
+};
+
+// Browsers cap live contexts per page, so probes give theirs back straight away
+const release = (gl) => gl?.getExtension('WEBGL_lose_context')?.loseContext();
+
+const readRenderer = (gl) => {
+  const info = gl.getExtension('WEBGL_debug_renderer_info');
+  return info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+};
+
+const rankRenderer = (renderer, { caveat }) => {
+  if (caveat || SOFTWARE_RENDERERS.test(renderer)) return 0;
+  if (LOW_END_RENDERERS.test(renderer) || navigator.deviceMemory <= LOW_DEVICE_MEMORY) return 1;
+  return 2;
+};
+
+let graphics = null;
+
+/**
+ * Probes WebGL once per page and returns `{ webgl, renderer, tier }`. `tier`
+ * is 0 when there is no usable GPU (no WebGL, or software rendering), 1 for
+ * low-end GPUs and 2 for everything else, including renderers the browser
+ * does not name.
+ */
+export const detectGraphics = () => {
+  if (graphics) return graphics;
+  if (typeof document === 'undefined') return { webgl: false, renderer: null, tier: 0 };
+
+  try {
+    const gl = getContext();
+    if (!gl) {
+      graphics = { webgl: false, renderer: null, tier: 0 };
+      return graphics;
+    }
+
+    const renderer = readRenderer(gl) || '';
+    release(gl);
+
+    // Refused when the browser would fall back to a slow path, e.g. a blocklisted driver
+    const fast = getContext({ failIfMajorPerformanceCaveat: true });
+    release(fast);
+
+    graphics = { webgl: true, renderer, tier: rankRenderer(renderer, { caveat: !fast }) };
+  } catch (error) {
+    graphics = { webgl: false, renderer: null, tier: 0 };
+  }
+
+  return graphics;
+};
+
+/**
+ * How much 3D the device should get: "full" for the interactive scene, "lite"
+ * for a static, shadowless one, or "poster" for no WebGL at all.
+ */
+export const chooseSceneQuality = ({ tier, available = true, smallScreen = false, lowPower = false }) => {
+  if (!available || tier === 0) return 'poster';
+  if (tier === 1 && smallScreen) return 'poster';
+  if (tier === 1 || smallScreen || lowPower) return 'lite';
+  return 'full';
+};
@@ -0,0 +1,37 @@
+import emailjs from '@emailjs/browser';
+
+const serviceId = import.meta.env.VITE_EMAILJS_SERVICE_ID;
+const templateId = import.meta.env.VITE_EMAILJS_TEMPLATE_ID;
+const publicKey = import.meta.env.VITE_EMAILJS_PUBLIC_KEY;
+
+const emailjsAdapter = {
+  name: 'emailjs',
+  isConfigured: Boolean(serviceId && templateId && publicKey),
+  send: async ({ name, email, message }) => {
+    if (!serviceId || !templateId || !publicKey) {
+      throw new Error('Missing EmailJS environment variables.');
+    }
+
+    try {
+      await emailjs.send(
+        serviceId,
+        templateId,
+        {
+          from_name: name.trim(),
+          from_email: email.trim(),
+          message: message.trim(),
+        },
+        publicKey
+      );
+    } catch (error) {
+      // EmailJS rejects with `{ status, text }`; status 0 means the request never got through
+      const status = error?.status ?? 0;
+      throw Object.assign(new Error(error?.text || 'EmailJS delivery failed'), {
+        retryable: status === 0 || status === 429 || status >= 500,
+        cause: error,
+      });
+    }
+  },
+};
+
+export default emailjsAdapter;
@@ -0,0 +1,136 @@
+import supabaseAdapter from './supabase';
+import emailjsAdapter from './emailjs';
+import webhookAdapter from './webhook';
+import memoryAdapter from './memory';
+
+const adapters = {
+  [supabaseAdapter.name]: supabaseAdapter,
+  [emailjsAdapter.name]: emailjsAdapter,
+  [webhookAdapter.name]: webhookAdapter,
+  [memoryAdapter.name]: memoryAdapter,
+};
+
+// Configuration problems are for whoever runs the site, not its visitors;
+// `checkHealth` still says which adapters are in use
+const warn = (message) => {
+  if (import.meta.env.DEV) console.warn(message);
+};
+
+const parseAdapterNames = (value = 'supabase') =>
+  value
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .filter((name) => {
+      if (!adapters[name]) {
+        warn(`Unknown contact delivery adapter "${name}" in VITE_CONTACT_DELIVERY`);
+        return false;
+      }
+      return true;
+    });
+
+// Adapters without credentials are skipped. With none left, development
+// builds keep submissions in memory; production builds have nothing to send
+// through, and the contact form says so instead of pretending to succeed.
+const resolveAdapters = (names) => {
+  const usable = names.filter((name) => {
+    if (!adapters[name].isConfigured) {
+      warn(`Contact delivery adapter "${name}" is not configured and will be skipped`);
+      return false;
+    }
+    return true;
+  });
+
+  if (usable.length || !memoryAdapter.isConfigured) {
+    return usable;
+  }
+  return [memoryAdapter.name];
+};
+
+// Comma separated, e.g. `VITE_CONTACT_DELIVERY=supabase,webhook`
+const requestedAdapters = parseAdapterNames(import.meta.env.VITE_CONTACT_DELIVERY);
+
+export const configuredAdapters = resolveAdapters(requestedAdapters);
+
+// False when no adapter can send anything, which only happens in production builds
+export const isDeliveryAvailable = configuredAdapters.length > 0;
+
+// True when submissions reach nothing, or only the in-memory adapter without anyone asking for it
+export const isDeliveryDegraded =
+  !requestedAdapters.includes(memoryAdapter.name) &&
+  configuredAdapters.every((name) => name === memoryAdapter.name);
+
+export { adapters, memoryAdapter };
+
+/**
+ * Sends the payload through every named adapter at once. Resolves with the
+ * per-adapter results when all of them succeed; otherwise rejects with an
+ * error carrying the same `results`, the names of the `failed` adapters and
+ * of those worth a `retry`, whether anything was `delivered`, and whether the
+ * failures are `retryable`.
+ */
+export const deliver = async (payload, names = configuredAdapters) => {
+  if (!names.length) {
+    throw Object.assign(new Error('No contact delivery adapter is configured.'), {
+      results: [],
+      failed: [],
+      retry: [],
+      delivered: false,
+      retryable: false,
+    });
+  }
+
+  const results = await Promise.all(
+    names.map(async (name) => {
+      try {
+        await adapters[name].send(payload);
+        return { adapter: name, ok: true };
+      } catch (error) {
+        console.error(`[delivery:${name}] Contact delivery failed:`, error);
+        return { adapter: name, ok: false, error };
+      }
+    })
+  );
+
+  const failures = results.filter((result) => !result.ok);
+  if (!failures.length) {
+    return results;
+  }
+
+  const retryableFailures = failures.filter((result) => result.error.retryable);
+
+  throw Object.assign(
+    new Error(`Contact delivery failed for ${failures.map((result) => result.adapter).join(', ')}`),
+    {
+      results,
+      failed: failures.map((result) => result.adapter),
+      retry: retryableFailures.map((result) => result.adapter),
+      delivered: failures.length < results.length,
+      retryable: retryableFailures.length > 0,
+      code: failures.find((result) => result.error.code)?.error.code,
+    }
+  );
+};
+
+/**
+ * Delivers a contact submission, optionally limited to `payload.adapters`.
+ * Failures that are not worth retrying are ignored once at least one adapter
+ * has the message. A retryable error carries the `payload` to queue, narrowed
+ * to the adapters that still need it.
+ */
+export const deliverSubmission = async ({ adapters: names, ...payload }) => {
+  try {
+    return await deliver(payload, names);
+  } catch (error) {
+    if (error.retryable) {
+      error.payload = { ...payload, adapters: error.retry };
+      throw error;
+    }
+
+    if (!error.delivered) {
+      throw error;
+    }
+
+    return error.results;
+  }
+};
@@ -0,0 +1,20 @@
+// Keeps submissions in memory instead of sending them anywhere. Only usable in
+// development builds, where nobody is waiting for the message; everything is
+// lost on reload.
+const messages = [];
+
+const memoryAdapter = {
+  name: 'memory',
+  isConfigured: import.meta.env.DEV,
+  send: async (payload) => {
+    messages.push({ ...payload, receivedAt: new Date().toISOString() });
+    // The submission itself is personal data; `messages()` has it for debugging
+    console.info(`[delivery:memory] Contact submission kept in memory (${messages.length} so far)`);
+  },
+  messages: () => [...messages],
+  clear: () => {
+    messages.length = 0;
+  },
+};
+
+export default memoryAdapter;
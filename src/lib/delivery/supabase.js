@@ -0,0 +1,10 @@
+import { submitContact } from '../submissions';
+import { isSupabaseConfigured } from '../supabase';
+
+const supabaseAdapter = {
+  name: 'supabase',
+  isConfigured: isSupabaseConfigured,
+  send: (payload) => submitContact(payload),
+};
+
+export default supabaseAdapter;
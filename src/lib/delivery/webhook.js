@@ -0,0 +1,36 @@
+const webhookUrl = import.meta.env.VITE_CONTACT_WEBHOOK_URL;
+
+// Posts the submission as JSON, e.g. to an n8n "Webhook" trigger node
+const webhookAdapter = {
+  name: 'webhook',
+  isConfigured: Boolean(webhookUrl),
+  send: async ({ name, email, message }) => {
+    if (!webhookUrl) {
+      throw new Error('Missing VITE_CONTACT_WEBHOOK_URL environment variable.');
+    }
+
+    let response;
+    try {
+      response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: name.trim(),
+          email: email.trim(),
+          message: message.trim(),
+          submitted_at: new Date().toISOString(),
+        }),
+      });
+    } catch (error) {
+      throw Object.assign(new Error('Webhook is unreachable'), { retryable: true, cause: error });
+    }
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`Webhook responded with ${response.status}`), {
+        retryable: response.status === 429 || response.status >= 500,
+      });
+    }
+  },
+};
+
+export default webhookAdapter;
@@ -0,0 +1,55 @@
+import { isSupabaseConfigured } from './supabase';
+import { adapters, configuredAdapters, isDeliveryDegraded } from './delivery';
+
+/**
+ * Reports which integrations have the configuration they need. Nothing is
+ * contacted over the network; this only inspects the build-time env.
+ */
+export const checkHealth = () => {
+  const integrations = [
+    {
+      name: 'supabase',
+      configured: isSupabaseConfigured,
+      usedFor: 'contact submissions, analytics, admin dashboard',
+    },
+    {
+      name: 'emailjs',
+      configured: adapters.emailjs.isConfigured,
+      usedFor: 'contact delivery',
+    },
+    {
+      name: 'webhook',
+      configured: adapters.webhook.isConfigured,
+      usedFor: 'contact delivery',
+    },
+  ];
+
+  return {
+    integrations,
+    delivery: configuredAdapters,
+    deliveryDegraded: isDeliveryDegraded,
+    degraded: isDeliveryDegraded || !isSupabaseConfigured,
+  };
+};
+
+/**
+ * Checks health and, in development builds only, logs it; visitors' consoles
+ * do not need to know which backends are configured.
+ */
+export const reportHealth = () => {
+  const health = checkHealth();
+  if (!import.meta.env.DEV) return health;
+
+  const log = health.degraded ? console.warn : console.info;
+
+  log(
+    `[health] Contact delivery: ${health.delivery.join(', ') || 'unavailable'}${
+      health.degraded ? ' (degraded mode)' : ''
+    }`
+  );
+  console.table(
+    health.integrations.map(({ name, configured, usedFor }) => ({ name, configured, usedFor }))
+  );
+
+  return health;
+};
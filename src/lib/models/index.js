@@ -0,0 +1,143 @@
+import { scanMeshes } from './scan';
+
+// Above this many attribute values the scan moves to a worker
+const WORKER_THRESHOLD = 250000;
+
+let worker = null;
+let nextRequestId = 0;
+const requests = new Map();
+
+// A worker that failed to load or crashed answers nothing, so every pending
+// scan is rejected (and falls back to the main thread) and the next scan
+// starts a fresh worker
+const failWorker = (error) => {
+  worker?.terminate();
+  worker = null;
+  requests.forEach(({ reject }) => reject(error));
+  requests.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./scan.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = requests.get(data.id);
+      requests.delete(data.id);
+      if (data.error) {
+        request?.reject(new Error(data.error));
+      } else {
+        request?.resolve(data.results);
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      failWorker(new Error(event.message || 'Model scan worker failed'));
+    };
+    worker.onmessageerror = () => {
+      failWorker(new Error('Model scan worker sent a message that could not be read'));
+    };
+  }
+  return worker;
+};
+
+const scanInWorker = (meshes) =>
+  new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    const target = getWorker();
+    requests.set(id, { resolve, reject });
+    // Copied rather than transferred: the scene still renders from these arrays
+    target.postMessage({ id, meshes });
+  });
+
+// Interleaved attributes share one buffer, so copy out just their own values
+const valuesOf = (attribute) => {
+  if (!attribute.isInterleavedBufferAttribute) {
+    return attribute.array;
+  }
+
+  const values = new Float32Array(attribute.count * attribute.itemSize);
+  for (let index = 0; index < attribute.count; index++) {
+    for (let component = 0; component < attribute.itemSize; component++) {
+      values[index * attribute.itemSize + component] = attribute.getComponent(index, component);
+    }
+  }
+  return values;
+};
+
+const meshesOf = (scene) => {
+  const meshes = [];
+  scene.traverse((child) => {
+    if (child.isMesh && child.geometry) meshes.push(child);
+  });
+  return meshes;
+};
+
+const runValidation = async (scene, name) => {
+  const startedAt = performance.now();
+  const meshes = meshesOf(scene);
+  const payload = meshes.map((mesh) => ({
+    attributes: Object.fromEntries(
+      Object.entries(mesh.geometry.attributes).map(([key, attribute]) => [key, valuesOf(attribute)])
+    ),
+  }));
+
+  const valueCount = payload.reduce(
+    (total, mesh) =>
+      total + Object.values(mesh.attributes).reduce((sum, array) => sum + array.length, 0),
+    0
+  );
+  const offThread = valueCount > WORKER_THRESHOLD && typeof Worker !== 'undefined';
+
+  let scanned;
+  try {
+    scanned = offThread ? await scanInWorker(payload) : scanMeshes(payload);
+  } catch (error) {
+    console.warn(`[models] Off-thread scan of ${name} failed, scanning here instead:`, error);
+    scanned = scanMeshes(payload);
+  }
+
+  const removed = meshes
+    .map((mesh, index) => ({
+      index,
+      name: mesh.name || `(unnamed mesh ${index})`,
+      attributes: scanned[index],
+    }))
+    .filter((entry) => Object.keys(entry.attributes).length);
+
+  let repaired = scene;
+  if (removed.length) {
+    // A clone keeps the traversal order, so meshes line up by index
+    repaired = scene.clone();
+    const cloneMeshes = meshesOf(repaired);
+    removed.forEach(({ index }) => cloneMeshes[index].removeFromParent());
+  }
+
+  const report = {
+    name,
+    meshCount: meshes.length,
+    valueCount,
+    offThread,
+    durationMs: Math.round(performance.now() - startedAt),
+    removed: removed.map(({ name: meshName, attributes }) => ({ name: meshName, attributes })),
+  };
+
+  return {
+    scene: removed.length === meshes.length && meshes.length ? null : repaired,
+    report,
+  };
+};
+
+const results = new WeakMap();
+
+/**
+ * Scans every mesh in `scene` for NaN or infinite attribute values and
+ * resolves with `{ scene, report }`. The scene is returned as is when it is
+ * clean; otherwise it is a clone without the broken meshes, or `null` when
+ * nothing usable is left. Results are cached per scene.
+ */
+export const validateModel = (scene, { name = scene.name || 'model' } = {}) => {
+  if (!results.has(scene)) {
+    results.set(scene, runValidation(scene, name));
+  }
+  return results.get(scene);
+};
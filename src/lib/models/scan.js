@@ -0,0 +1,28 @@
+// Shared by the main thread and `scan.worker.js`, so no three.js in here
+
+const isFloatArray = (array) => array instanceof Float32Array || array instanceof Float64Array;
+
+export const countNonFinite = (array) => {
+  let count = 0;
+  for (let i = 0; i < array.length; i++) {
+    if (!Number.isFinite(array[i])) count++;
+  }
+  return count;
+};
+
+/**
+ * Takes `[{ attributes: { [name]: TypedArray } }]` and returns, per mesh, the
+ * number of non-finite values in each attribute that has any. Integer arrays
+ * cannot hold NaN or Infinity and are skipped; built models are quantized to
+ * integers, so `plugins/models` runs this same scan before compressing them.
+ */
+export const scanMeshes = (meshes) =>
+  meshes.map(({ attributes }) => {
+    const bad = {};
+    Object.entries(attributes).forEach(([name, array]) => {
+      if (!isFloatArray(array)) return;
+      const count = countNonFinite(array);
+      if (count) bad[name] = count;
+    });
+    return bad;
+  });
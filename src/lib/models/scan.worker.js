@@ -0,0 +1,9 @@
+import { scanMeshes } from "./scan";
+
+self.onmessage = ({ data: { id, meshes } }) => {
+  try {
+    self.postMessage({ id, results: scanMeshes(meshes) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
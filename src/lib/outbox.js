@@ -0,0 +1,171 @@
+// Contact submissions that could not be delivered are kept in IndexedDB and
+// retried with exponential backoff until they go through.
+
+const DB_NAME = 'portfolio';
+const DB_VERSION = 1;
+const STORE = 'contact-outbox';
+
+const CHANGE_EVENT = 'contact-outbox:change';
+
+const BASE_DELAY = 5 * 1000;
+const MAX_DELAY = 5 * 60 * 1000;
+
+let dbPromise = null;
+let flushing = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Allow a later call to try again, e.g. after a blocked upgrade
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = callback(transaction.objectStore(STORE));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const backoff = (attempts) => {
+  const delay = Math.min(BASE_DELAY * 2 ** attempts, MAX_DELAY);
+  // Jitter so several tabs coming back online do not retry in lockstep
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Entries are queued after a failed attempt, so the first retry is already backed off
+export const enqueue = async (payload) => {
+  const id = await withStore('readwrite', (store) =>
+    store.add({
+      payload,
+      attempts: 1,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now() + backoff(0),
+    })
+  );
+
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+
+  return id;
+};
+
+export const listPending = () => withStore('readonly', (store) => store.getAll());
+
+const remove = (id) => withStore('readwrite', (store) => store.delete(id));
+
+const save = (entry) => withStore('readwrite', (store) => store.put(entry));
+
+/**
+ * Tries to send every entry that is due. `send` should throw an error with
+ * `retryable: true` when the entry is worth trying again later, optionally
+ * with a replacement `payload` for the next attempt; any other error drops
+ * the entry.
+ */
+export const flushOutbox = (send) => {
+  if (!flushing) {
+    flushing = (async () => {
+      const result = { sent: [], dropped: [] };
+
+      if (typeof navigator !== 'undefined' && !navigator.onLine) {
+        return result;
+      }
+
+      const entries = await listPending();
+
+      for (const entry of entries) {
+        if (entry.nextAttemptAt > Date.now()) {
+          continue;
+        }
+
+        try {
+          await send(entry.payload);
+          await remove(entry.id);
+          result.sent.push(entry);
+        } catch (error) {
+          if (error.retryable) {
+            await save({
+              ...entry,
+              payload: error.payload ?? entry.payload,
+              attempts: entry.attempts + 1,
+              nextAttemptAt: Date.now() + backoff(entry.attempts),
+            });
+          } else {
+            await remove(entry.id);
+            result.dropped.push({ entry, error });
+          }
+        }
+      }
+
+      return result;
+    })().finally(() => {
+      flushing = null;
+    });
+  }
+
+  return flushing;
+};
+
+/**
+ * Flushes the outbox now, whenever the browser comes back online, whenever
+ * an entry is queued and whenever the next retry is due. `onChange` receives
+ * the flush result and the entries still pending. Returns a function that
+ * stops watching.
+ */
+export const watchOutbox = (send, onChange) => {
+  let timer = null;
+  let stopped = false;
+
+  const run = async () => {
+    clearTimeout(timer);
+
+    try {
+      const result = await flushOutbox(send);
+      const pending = await listPending();
+
+      if (stopped) return;
+      onChange?.({ ...result, pending });
+
+      if (pending.length) {
+        const nextAttemptAt = Math.min(...pending.map((entry) => entry.nextAttemptAt));
+        timer = setTimeout(run, Math.max(nextAttemptAt - Date.now(), BASE_DELAY));
+      }
+    } catch (error) {
+      console.warn('Contact outbox unavailable:', error);
+    }
+  };
+
+  window.addEventListener('online', run);
+  window.addEventListener(CHANGE_EVENT, run);
+  run();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    window.removeEventListener('online', run);
+    window.removeEventListener(CHANGE_EVENT, run);
+  };
+};
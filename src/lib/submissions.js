@@ -0,0 +1,146 @@
+import { getSupabase } from './supabase';
+
+const TABLE = 'contact_submissions';
+
+// Supabase caps a single select at 1000 rows, so exports are fetched in chunks
+const EXPORT_CHUNK_SIZE = 1000;
+
+export const STATUS_COLUMNS = {
+  read: 'read_at',
+  replied: 'replied_at',
+  archived: 'archived_at',
+};
+
+export const VIEWS = [
+  { id: 'inbox', title: 'Inbox' },
+  { id: 'unread', title: 'Unread' },
+  { id: 'replied', title: 'Replied' },
+  { id: 'archived', title: 'Archived' },
+  { id: 'all', title: 'All' },
+];
+
+// Error messages raised by the `submit_contact` RPC
+export const SUBMIT_ERRORS = ['rate_limited', 'duplicate_submission'];
+
+export const submitContact = async ({ name, email, message, honeypot, elapsedMs }) => {
+  const supabase = await getSupabase();
+  const { data, error } = await supabase.rpc('submit_contact', {
+    p_name: name.trim(),
+    p_email: email.trim(),
+    p_message: message.trim(),
+    p_honeypot: honeypot || null,
+    p_elapsed_ms: Math.round(elapsedMs),
+  });
+
+  if (error) {
+    const code = SUBMIT_ERRORS.find((item) => error.message?.includes(item));
+    // Network failures and unreachable servers come back without a Postgres error code
+    const retryable = !error.code || code === 'rate_limited';
+    throw Object.assign(new Error(error.message), { code, retryable, cause: error });
+  }
+
+  return data;
+};
+
+// Characters that would break out of a PostgREST `or=(...)` filter
+const sanitizeSearch = (search) => search.replace(/[%,()*\\]/g, ' ').trim();
+
+const buildQuery = (supabase, { search = '', view = 'inbox', from, to } = {}, options) => {
+  let query = supabase
+    .from(TABLE)
+    .select('*', options)
+    .order('created_at', { ascending: false });
+
+  const term = sanitizeSearch(search);
+  if (term) {
+    query = query.or(
+      `name.ilike.%${term}%,email.ilike.%${term}%,message.ilike.%${term}%`
+    );
+  }
+
+  if (from) {
+    query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+  }
+  if (to) {
+    query = query.lte('created_at', new Date(`${to}T23:59:59.999`).toISOString());
+  }
+
+  switch (view) {
+    case 'inbox':
+      query = query.is('archived_at', null);
+      break;
+    case 'unread':
+      query = query.is('read_at', null).is('archived_at', null);
+      break;
+    case 'replied':
+      query = query.not('replied_at', 'is', null);
+      break;
+    case 'archived':
+      query = query.not('archived_at', 'is', null);
+      break;
+    default:
+      break;
+  }
+
+  return query;
+};
+
+export const fetchSubmissions = async (filters, { page = 0, pageSize = 20 } = {}) => {
+  const supabase = await getSupabase();
+  const start = page * pageSize;
+  const { data, error, count } = await buildQuery(supabase, filters, { count: 'exact' })
+    .range(start, start + pageSize - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return { rows: data ?? [], total: count ?? 0 };
+};
+
+export const fetchAllSubmissions = async (filters) => {
+  const supabase = await getSupabase();
+  const rows = [];
+
+  for (let start = 0; ; start += EXPORT_CHUNK_SIZE) {
+    const { data, error } = await buildQuery(supabase, filters)
+      .range(start, start + EXPORT_CHUNK_SIZE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    rows.push(...data);
+
+    if (data.length < EXPORT_CHUNK_SIZE) {
+      return rows;
+    }
+  }
+};
+
+export const setSubmissionStatus = async (submission, status, enabled) => {
+  const column = STATUS_COLUMNS[status];
+  if (!column) {
+    throw new Error(`Unknown submission status: ${status}`);
+  }
+
+  const changes = { [column]: enabled ? new Date().toISOString() : null };
+  // Replying to a message implies it has been read
+  if (status === 'replied' && enabled && !submission.read_at) {
+    changes.read_at = changes.replied_at;
+  }
+
+  const supabase = await getSupabase();
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update(changes)
+    .eq('id', submission.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
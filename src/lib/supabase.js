@@ -1,10 +1,52 @@
-import { createClient } from '@supabase/supabase-js';
-
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
-  throw new Error('Missing Supabase environment variables. Please connect to Supabase first.');
-}
+export const isSupabaseConfigured = Boolean(supabaseUrl && supabaseAnonKey);
+
+let clientPromise = null;
+
+// The client (and the SDK itself) is only loaded the first time something needs it,
+// so a missing configuration never breaks the pages that do not use Supabase.
+export const getSupabase = () => {
+  if (!isSupabaseConfigured) {
+    return Promise.reject(
+      new Error('Missing Supabase environment variables. Please connect to Supabase first.')
+    );
+  }
+
+  if (!clientPromise) {
+    clientPromise = import('@supabase/supabase-js').then(({ createClient }) =>
+      createClient(supabaseUrl, supabaseAnonKey)
+    );
+  }
+
+  return clientPromise;
+};
+
+/**
+ * Calls a Postgres function through the REST API with a plain `keepalive`
+ * fetch. It works while the page is being unloaded and does not load the SDK,
+ * so it suits fire-and-forget calls made from every page.
+ */
+export const sendRpc = (name, params) => {
+  if (!isSupabaseConfigured) {
+    return Promise.reject(
+      new Error('Missing Supabase environment variables. Please connect to Supabase first.')
+    );
+  }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
\ No newline at end of file
+  return fetch(`${supabaseUrl}/rest/v1/rpc/${name}`, {
+    method: 'POST',
+    keepalive: true,
+    headers: {
+      apikey: supabaseAnonKey,
+      Authorization: `Bearer ${supabaseAnonKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(params),
+  }).then((response) => {
+    if (!response.ok) {
+      throw new Error(`${name} failed with status ${response.status}`);
+    }
+  });
+};
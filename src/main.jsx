@@ -1,11 +1,25 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
+import { BrowserRouter } from "react-router-dom";
 
 import App from "./App";
+import { reportHealth } from "./lib/health";
 import "./index.css";
 
-ReactDOM.createRoot(document.getElementById("root")).render(
+reportHealth();
+
+const container = document.getElementById("root");
+const app = (
   <React.StrictMode>
-   <App />
+    <BrowserRouter>
+      <App />
+    </BrowserRouter>
   </React.StrictMode>
 );
+
+// Built pages arrive prerendered (see `plugins/prerender`); the dev server sends an empty root
+if (container.hasChildNodes()) {
+  ReactDOM.hydrateRoot(container, app);
+} else {
+  ReactDOM.createRoot(container).render(app);
+}
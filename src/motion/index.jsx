@@ -0,0 +1,156 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { MotionConfig } from "framer-motion";
+
+import * as presets from "../utils/motion";
+import { useIsomorphicLayoutEffect } from "../utils/ssr";
+
+const STORAGE_KEY = "motion";
+const REDUCE_QUERY = "(prefers-reduced-motion: reduce)";
+// Below this charge, and not charging, the device counts as low on power
+const LOW_BATTERY_LEVEL = 0.2;
+
+const storedPreference = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved === "reduce" || saved === "full" ? saved : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const systemPrefersReduced = () => Boolean(window.matchMedia?.(REDUCE_QUERY).matches);
+
+const saveDataEnabled = () => Boolean(navigator.connection?.saveData);
+
+// Battery state is only exposed in Chromium; elsewhere this stays false
+const useLowBattery = () => {
+  const [lowBattery, setLowBattery] = useState(false);
+
+  useEffect(() => {
+    if (!navigator.getBattery) return undefined;
+
+    let battery = null;
+    let cancelled = false;
+    const update = () => setLowBattery(!battery.charging && battery.level <= LOW_BATTERY_LEVEL);
+
+    navigator
+      .getBattery()
+      .then((result) => {
+        if (cancelled) return;
+        battery = result;
+        update();
+        battery.addEventListener("levelchange", update);
+        battery.addEventListener("chargingchange", update);
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      battery?.removeEventListener("levelchange", update);
+      battery?.removeEventListener("chargingchange", update);
+    };
+  }, []);
+
+  return lowBattery;
+};
+
+const MotionContext = createContext(null);
+
+/**
+ * Decides whether the site animates. A choice made with the toggle wins;
+ * otherwise motion is reduced when the OS asks for it or the device is
+ * saving data or low on battery.
+ */
+export const MotionProvider = ({ children }) => {
+  const [preference, setPreferenceState] = useState(null);
+  const [systemReduced, setSystemReduced] = useState(false);
+  const [saveData, setSaveData] = useState(false);
+  const lowBattery = useLowBattery();
+
+  const lowPower = lowBattery || saveData;
+  const reduced = preference ? preference === "reduce" : systemReduced || lowPower;
+
+  // Prerendered pages animate; settle the real preference after hydrating, before paint
+  useIsomorphicLayoutEffect(() => {
+    setPreferenceState(storedPreference());
+    setSystemReduced(systemPrefersReduced());
+    setSaveData(saveDataEnabled());
+  }, []);
+
+  useEffect(() => {
+    const mediaQuery = window.matchMedia?.(REDUCE_QUERY);
+    if (!mediaQuery) return undefined;
+
+    const handleChange = (event) => setSystemReduced(event.matches);
+    mediaQuery.addEventListener("change", handleChange);
+
+    return () => mediaQuery.removeEventListener("change", handleChange);
+  }, []);
+
+  // Lets the stylesheet drop smooth scrolling and CSS animations too
+  useEffect(() => {
+    document.documentElement.dataset.motion = reduced ? "reduce" : "full";
+  }, [reduced]);
+
+  const value = useMemo(() => {
+    const setPreference = (next) => {
+      setPreferenceState(next);
+      try {
+        localStorage.setItem(STORAGE_KEY, next);
+      } catch (error) {
+        // Nothing to persist to; the choice lasts for this visit
+      }
+    };
+
+    return {
+      reduced,
+      lowPower,
+      preference,
+      setPreference,
+      toggleMotion: () => setPreference(reduced ? "full" : "reduce"),
+    };
+  }, [reduced, lowPower, preference]);
+
+  return (
+    <MotionContext.Provider value={value}>
+      {/* Catches motion components that do not go through the presets */}
+      <MotionConfig reducedMotion={reduced ? "always" : "never"}>{children}</MotionConfig>
+    </MotionContext.Provider>
+  );
+};
+
+export const useMotion = () => {
+  const context = useContext(MotionContext);
+  if (!context) {
+    throw new Error("useMotion must be used inside <MotionProvider>");
+  }
+  return context;
+};
+
+// Variants with every transition replaced by an instant one
+const instant = (variants) =>
+  Object.fromEntries(
+    Object.entries(variants).map(([name, variant]) => [
+      name,
+      variant.transition ? { ...variant, transition: { type: false } } : variant,
+    ])
+  );
+
+/**
+ * The presets from `utils/motion`, resolving to instant transitions while
+ * motion is reduced.
+ */
+export const useMotionPresets = () => {
+  const { reduced } = useMotion();
+
+  return useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(presets).map(([name, preset]) => [
+          name,
+          reduced ? (...args) => instant(preset(...args)) : preset,
+        ])
+      ),
+    [reduced]
+  );
+};
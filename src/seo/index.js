@@ -0,0 +1,184 @@
+import { matchPath } from "react-router-dom";
+import { posts } from "virtual:blog";
+
+import { projects, site, testimonials } from "../constants";
+import { getLinkedSections } from "../hoc";
+
+// Absolute URLs (canonical, OpenGraph, sitemap) need to know where the site is deployed
+export const siteUrl = (import.meta.env.VITE_SITE_URL || "").replace(/\/+$/, "");
+
+// Inlined assets come through as data: URLs and stay as they are
+const absolute = (path) => (siteUrl && path.startsWith("/") ? `${siteUrl}${path}` : path);
+
+const PERSON_ID = "#person";
+
+const person = () => ({
+  "@type": "Person",
+  "@id": absolute(`/${PERSON_ID}`),
+  name: site.name,
+  jobTitle: site.jobTitle,
+  description: site.description,
+  image: absolute(site.image),
+  ...(siteUrl && { url: `${siteUrl}/` }),
+  ...(site.sameAs?.length && { sameAs: site.sameAs }),
+});
+
+const creativeWork = (project) => ({
+  "@type": "CreativeWork",
+  name: project.name,
+  description: project.description,
+  image: absolute(project.image),
+  url: absolute(`/projects/${project.slug}`),
+  keywords: project.tags.map((tag) => tag.name).join(", "),
+  author: { "@id": absolute(`/${PERSON_ID}`) },
+  ...(project.live_demo_link && { sameAs: project.live_demo_link }),
+});
+
+const review = (testimonial) => ({
+  "@type": "Review",
+  reviewBody: testimonial.testimonial,
+  itemReviewed: { "@id": absolute(`/${PERSON_ID}`) },
+  author: {
+    "@type": "Person",
+    name: testimonial.name,
+    ...(testimonial.designation && { jobTitle: testimonial.designation }),
+    ...(testimonial.company && { worksFor: { "@type": "Organization", name: testimonial.company } }),
+  },
+});
+
+const blogPosting = (post) => ({
+  "@type": "BlogPosting",
+  headline: post.title,
+  description: post.description,
+  datePublished: post.date,
+  url: absolute(`/blog/${post.slug}`),
+  keywords: post.tags.join(", "),
+  author: { "@id": absolute(`/${PERSON_ID}`) },
+  ...(post.cover && { image: absolute(post.cover) }),
+});
+
+const blogTitle = `Blog | ${site.title}`;
+
+/**
+ * Title, description, canonical path, preview image and JSON-LD for a page,
+ * all taken from the portfolio content. Unknown paths get the home page's.
+ */
+export const pageMeta = (pathname) => {
+  const slug = matchPath("/projects/:slug", pathname)?.params.slug;
+  const project = projects.find((item) => item.slug === slug);
+  const tag = matchPath("/blog/tags/:tag", pathname)?.params.tag;
+  const postSlug = matchPath("/blog/:slug", pathname)?.params.slug;
+  const post = posts.find((item) => item.slug === postSlug);
+
+  if (post) {
+    return {
+      title: `${post.title} | ${site.title}`,
+      description: post.description,
+      path: `/blog/${post.slug}`,
+      image: post.cover || site.image,
+      type: "article",
+      structuredData: [person(), blogPosting(post)],
+    };
+  }
+
+  if (tag || matchPath("/blog", pathname)) {
+    const tagged = tag ? posts.filter((item) => item.tags.includes(tag)) : posts;
+
+    return {
+      title: tag ? `#${tag} | ${blogTitle}` : blogTitle,
+      description: tag ? `Posts tagged #${tag}. ${site.description}` : site.description,
+      path: tag ? `/blog/tags/${tag}` : "/blog",
+      image: site.image,
+      type: "website",
+      structuredData: [
+        person(),
+        {
+          "@type": "Blog",
+          name: blogTitle,
+          url: absolute("/blog"),
+          blogPost: tagged.map(blogPosting),
+        },
+      ],
+    };
+  }
+
+  if (project) {
+    return {
+      title: `${project.name} | ${site.title}`,
+      description: project.description,
+      path: `/projects/${project.slug}`,
+      image: project.image,
+      type: "article",
+      structuredData: [person(), creativeWork(project)],
+    };
+  }
+
+  return {
+    title: site.title,
+    description: site.description,
+    path: "/",
+    image: site.image,
+    type: "profile",
+    structuredData: [person(), ...projects.map(creativeWork), ...testimonials.map(review)],
+  };
+};
+
+// Every route worth prerendering
+export const pagePaths = () => [
+  "/",
+  ...projects.map((project) => `/projects/${project.slug}`),
+  "/blog",
+  ...[...new Set(posts.flatMap((post) => post.tags))].map((tag) => `/blog/tags/${tag}`),
+  ...posts.map((post) => `/blog/${post.slug}`),
+];
+
+/**
+ * What the sitemap lists: every page, with the home page's sections right
+ * after it, in the order and under the ids they registered with.
+ */
+export const sitemapPaths = () => {
+  const [home, ...rest] = pagePaths();
+  return [home, ...getLinkedSections().map((section) => `/#${section.id}`), ...rest];
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+/**
+ * The `<head>` tags for `meta` as an HTML string: title, description,
+ * canonical link, OpenGraph and Twitter cards, and the JSON-LD graph.
+ */
+export const renderHead = (meta) => {
+  const url = absolute(meta.path);
+  const image = absolute(meta.image);
+  // "</script>" inside a string would end the script element early
+  const jsonLd = JSON.stringify({
+    "@context": "https://schema.org",
+    "@graph": meta.structuredData,
+  }).replace(/</g, "\\u003c");
+
+  return [
+    `<title>${escapeHtml(meta.title)}</title>`,
+    `<meta name="description" content="${escapeHtml(meta.description)}" />`,
+    siteUrl && `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<meta property="og:type" content="${meta.type}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(site.title)}" />`,
+    `<meta property="og:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(meta.description)}" />`,
+    siteUrl && `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    `<meta name="twitter:card" content="summary_large_image" />`,
+    `<meta name="twitter:title" content="${escapeHtml(meta.title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(meta.description)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}" />`,
+    siteUrl && `<link rel="alternate" type="application/rss+xml" title="${escapeHtml(blogTitle)}" href="${siteUrl}/rss.xml" />`,
+    siteUrl && `<link rel="alternate" type="application/atom+xml" title="${escapeHtml(blogTitle)}" href="${siteUrl}/atom.xml" />`,
+    `<script type="application/ld+json">${jsonLd}</script>`,
+  ]
+    .filter(Boolean)
+    .join("\n    ");
+};
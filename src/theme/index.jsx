@@ -0,0 +1,102 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from "react";
+
+import { useIsomorphicLayoutEffect } from "../utils/ssr";
+
+// Keep in sync with the inline script in index.html, which applies the theme before first paint
+const STORAGE_KEY = "theme";
+const LIGHT_QUERY = "(prefers-color-scheme: light)";
+
+export const themes = ["dark", "light"];
+
+// CSS variables the Three.js scenes need as colors
+const SCENE_COLORS = ["accent", "foreground", "stars", "earth", "ball"];
+
+const storedTheme = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return themes.includes(saved) ? saved : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const systemTheme = () => (window.matchMedia?.(LIGHT_QUERY).matches ? "light" : "dark");
+
+// `--color-*` variables hold "r g b" channels; three.js wants "rgb(r, g, b)"
+const readSceneColors = () => {
+  const computed = getComputedStyle(document.documentElement);
+
+  return Object.fromEntries(
+    SCENE_COLORS.map((name) => {
+      const channels = computed.getPropertyValue(`--color-${name}`).trim().split(/\s+/);
+      return [name, `rgb(${channels.join(", ")})`];
+    })
+  );
+};
+
+const applyTheme = (theme) => {
+  document.documentElement.dataset.theme = theme;
+};
+
+const ThemeContext = createContext(null);
+
+/**
+ * Follows the system color scheme until the visitor picks a theme, then
+ * remembers that choice.
+ */
+export const ThemeProvider = ({ children }) => {
+  const [chosen, setChosen] = useState(null);
+  const [system, setSystem] = useState("dark");
+  const theme = chosen || system;
+  const [colors, setColors] = useState({});
+
+  // Prerendered pages assume dark; the inline script in index.html has already painted the real theme
+  useIsomorphicLayoutEffect(() => {
+    setChosen(storedTheme());
+    setSystem(systemTheme());
+  }, []);
+
+  useEffect(() => {
+    const mediaQuery = window.matchMedia?.(LIGHT_QUERY);
+    if (!mediaQuery) return undefined;
+
+    const handleChange = (event) => setSystem(event.matches ? "light" : "dark");
+    mediaQuery.addEventListener("change", handleChange);
+
+    return () => mediaQuery.removeEventListener("change", handleChange);
+  }, []);
+
+  // Before paint, so canvases never render a frame in the old colors
+  useIsomorphicLayoutEffect(() => {
+    applyTheme(theme);
+    setColors(readSceneColors());
+  }, [theme]);
+
+  const value = useMemo(() => {
+    const setTheme = (next) => {
+      setChosen(next);
+      try {
+        localStorage.setItem(STORAGE_KEY, next);
+      } catch (error) {
+        // Nothing to persist to; the choice lasts for this visit
+      }
+    };
+
+    return {
+      theme,
+      colors,
+      setTheme,
+      toggleTheme: () => setTheme(theme === "dark" ? "light" : "dark"),
+    };
+  }, [theme, colors]);
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+};
+
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error("useTheme must be used inside <ThemeProvider>");
+  }
+  return context;
+};
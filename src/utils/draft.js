@@ -0,0 +1,27 @@
+// Small helpers for keeping unsent form input in localStorage. Storage can be
+// unavailable (private browsing, quota), in which case drafts are skipped.
+
+export const loadDraft = (key, fallback) => {
+  try {
+    const stored = window.localStorage.getItem(key);
+    return stored ? { ...fallback, ...JSON.parse(stored) } : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const saveDraft = (key, values) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(values));
+  } catch (error) {
+    // Ignore storage errors, the draft is a convenience only
+  }
+};
+
+export const clearDraft = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    // Ignore storage errors, the draft is a convenience only
+  }
+};
@@ -0,0 +1,38 @@
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  // Visitors write these fields; a leading quote keeps "=HYPERLINK(...)" plain text
+  const text = typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  // Quote anything that would otherwise split a cell or a row
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns) => {
+  const header = columns.map(escapeCsvValue).join(",");
+  const lines = rows.map((row) =>
+    columns.map((column) => escapeCsvValue(row[column])).join(",")
+  );
+
+  return [header, ...lines].join("\r\n");
+};
+
+export const toJson = (rows) => JSON.stringify(rows, null, 2);
+
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { toCsv } from "./export.js";
+
+test("quotes cells that contain separators or quotes", () => {
+  const csv = toCsv([{ name: 'Ada "Countess" Lovelace', message: "Hi,\nthere" }], ["name", "message"]);
+
+  assert.equal(csv, 'name,message\r\n"Ada ""Countess"" Lovelace","Hi,\nthere"');
+});
+
+test("keeps visitor input from running as a spreadsheet formula", () => {
+  const rows = [
+    { name: "=1+1", email: "@SUM(A1)", message: '=HYPERLINK("https://example.com","Click me")' },
+    { name: "+1", email: "-1", message: "\tTabbed" },
+  ];
+
+  assert.equal(
+    toCsv(rows, ["name", "email", "message"]),
+    [
+      "name,email,message",
+      `'=1+1,'@SUM(A1),"'=HYPERLINK(""https://example.com"",""Click me"")"`,
+      "'+1,'-1,'\tTabbed",
+    ].join("\r\n")
+  );
+});
+
+test("leaves numbers and empty values alone", () => {
+  assert.equal(toCsv([{ count: -3, note: null }], ["count", "note"]), "count,note\r\n-3,");
+});
@@ -0,0 +1,7 @@
+import { useEffect, useLayoutEffect } from "react";
+
+// False while prerendering pages at build time (see `plugins/prerender`)
+export const isBrowser = typeof window !== "undefined";
+
+// React warns about layout effects on the server, where they would never run anyway
+export const useIsomorphicLayoutEffect = isBrowser ? useLayoutEffect : useEffect;
@@ -0,0 +1,48 @@
+import { useEffect } from "react";
+
+const FOCUSABLE = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
+
+// Hidden elements (`display: none` or inside a closed panel) have no layout boxes
+const focusableIn = (container) =>
+  [...container.querySelectorAll(FOCUSABLE)].filter((element) => element.getClientRects().length);
+
+/**
+ * While `active`, keeps Tab and Shift+Tab cycling through the focusable
+ * elements inside `ref`.
+ */
+const useFocusTrap = (ref, active) => {
+  useEffect(() => {
+    const container = ref.current;
+    if (!active || !container) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (event.key !== "Tab") return;
+
+      const focusable = focusableIn(container);
+      if (!focusable.length) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [ref, active]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,24 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+/**
+ * Whether `query` matches, kept up to date. Prerendered pages and their
+ * hydration assume it does not match.
+ */
+const useMediaQuery = (query) => {
+  const subscribe = useCallback(
+    (onChange) => {
+      const mediaQuery = window.matchMedia(query);
+      mediaQuery.addEventListener("change", onChange);
+      return () => mediaQuery.removeEventListener("change", onChange);
+    },
+    [query]
+  );
+
+  return useSyncExternalStore(
+    subscribe,
+    () => window.matchMedia(query).matches,
+    () => false
+  );
+};
+
+export default useMediaQuery;
@@ -0,0 +1,49 @@
+import { useEffect, useState } from "react";
+
+// `SectionWrapper` puts the id on an anchor span inside the section
+const sectionOf = (id) => {
+  const anchor = document.getElementById(id);
+  return anchor?.closest("section") ?? anchor;
+};
+
+/**
+ * The id of the section being read: the last of `ids`, in order, whose top
+ * has scrolled past the middle of the viewport. Empty above the first one and
+ * on pages without these sections.
+ */
+const useScrollSpy = (ids) => {
+  const [active, setActive] = useState("");
+  const key = ids.join(",");
+
+  useEffect(() => {
+    const sections = key
+      .split(",")
+      .map((id) => ({ id, element: sectionOf(id) }))
+      .filter(({ element }) => element);
+    if (!sections.length || typeof IntersectionObserver === "undefined") return undefined;
+
+    const started = new Map();
+
+    // A zero-height line across the middle of the viewport; every crossing of
+    // it by a section's top or bottom edge lands here
+    const observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          started.set(entry.target, entry.boundingClientRect.top <= window.innerHeight / 2);
+        });
+
+        const current = sections.filter(({ element }) => started.get(element)).pop();
+        setActive(current?.id ?? "");
+      },
+      { rootMargin: "-50% 0px -50% 0px" }
+    );
+
+    sections.forEach(({ element }) => observer.observe(element));
+
+    return () => observer.disconnect();
+  }, [key]);
+
+  return active;
+};
+
+export default useScrollSpy;
@@ -0,0 +1,57 @@
+// Kept in sync with the CHECK constraints on `contact_submissions`
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const contactSchema = {
+  name: {
+    required: true,
+    minLength: 2,
+    maxLength: 100,
+  },
+  email: {
+    required: true,
+    maxLength: 254,
+    pattern: EMAIL_PATTERN,
+    patternRule: "email",
+  },
+  message: {
+    required: true,
+    minLength: 10,
+    maxLength: 5000,
+  },
+};
+
+// Errors are `{ rule, count }` so the form can word them in the current locale
+export const validateField = (rules, rawValue) => {
+  const value = typeof rawValue === "string" ? rawValue.trim() : rawValue;
+
+  if (!value) {
+    return rules.required ? { rule: "required" } : null;
+  }
+
+  if (rules.minLength && value.length < rules.minLength) {
+    return { rule: "minLength", count: rules.minLength };
+  }
+
+  if (rules.maxLength && value.length > rules.maxLength) {
+    return { rule: "maxLength", count: rules.maxLength };
+  }
+
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return { rule: rules.patternRule || "invalid" };
+  }
+
+  return null;
+};
+
+export const validate = (schema, values) => {
+  const errors = {};
+
+  Object.entries(schema).forEach(([name, rules]) => {
+    const error = validateField(rules, values[name]);
+    if (error) {
+      errors[name] = error;
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,36 @@
+/*
+  # Track review status of contact submissions
+
+  1. Changes
+    - `contact_submissions`
+      - `read_at` (timestamp, set when an admin has read the submission)
+      - `replied_at` (timestamp, set when an admin has replied)
+      - `archived_at` (timestamp, set when the submission is archived)
+
+  2. Security
+    - Add policy for authenticated users to update submissions (admin access)
+    - Restrict authenticated updates to the status columns only
+
+  3. Indexes
+    - `created_at` for date filtering and ordering in the admin dashboard
+*/
+
+ALTER TABLE contact_submissions
+  ADD COLUMN IF NOT EXISTS read_at timestamptz,
+  ADD COLUMN IF NOT EXISTS replied_at timestamptz,
+  ADD COLUMN IF NOT EXISTS archived_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS contact_submissions_created_at_idx
+  ON contact_submissions (created_at DESC);
+
+-- Allow authenticated users to update submissions (for admin purposes)
+CREATE POLICY "Authenticated users can update submissions"
+  ON contact_submissions
+  FOR UPDATE
+  TO authenticated
+  USING (true)
+  WITH CHECK (true);
+
+-- Only the status columns may be changed, the submission itself stays as sent
+REVOKE UPDATE ON contact_submissions FROM authenticated;
+GRANT UPDATE (read_at, replied_at, archived_at) ON contact_submissions TO authenticated;
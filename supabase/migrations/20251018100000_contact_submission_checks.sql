@@ -0,0 +1,28 @@
+/*
+  # Validate contact submissions in the database
+
+  1. Constraints
+    - `contact_submissions_name_length` (trimmed name between 2 and 100 characters)
+    - `contact_submissions_email_format` (email shaped like `local@domain.tld`, at most 254 characters)
+    - `contact_submissions_message_length` (trimmed message between 10 and 5000 characters)
+
+  2. Notes
+    - The rules mirror `contactSchema` in `src/utils/validation.js`
+    - Constraints are added NOT VALID so rows submitted before this migration
+      are kept; every new insert and update is still checked
+*/
+
+ALTER TABLE contact_submissions
+  ADD CONSTRAINT contact_submissions_name_length
+  CHECK (char_length(btrim(name)) BETWEEN 2 AND 100) NOT VALID;
+
+ALTER TABLE contact_submissions
+  ADD CONSTRAINT contact_submissions_email_format
+  CHECK (
+    char_length(email) <= 254
+    AND email ~ '^[^[:space:]@]+@[^[:space:]@]+\.[^[:space:]@]+$'
+  ) NOT VALID;
+
+ALTER TABLE contact_submissions
+  ADD CONSTRAINT contact_submissions_message_length
+  CHECK (char_length(btrim(message)) BETWEEN 10 AND 5000) NOT VALID;
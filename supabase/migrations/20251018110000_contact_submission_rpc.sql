@@ -0,0 +1,85 @@
+/*
+  # Route contact submissions through a rate-limited RPC
+
+  1. New Functions
+    - `submit_contact(p_name, p_email, p_message, p_honeypot, p_elapsed_ms)`
+      - Records the caller's IP address and user agent from the request headers
+      - Silently drops submissions that filled the honeypot or were sent too fast
+      - Rejects more than 5 submissions per IP or 3 per email in an hour (`rate_limited`)
+      - Rejects the same message from the same email within 24 hours (`duplicate_submission`)
+
+  2. Security
+    - Remove the direct anon insert policy and privilege on `contact_submissions`
+    - Allow anon and authenticated users to execute `submit_contact` only
+
+  3. Indexes
+    - `(ip_address, created_at)` and `(email, created_at)` for the rate limit lookups
+*/
+
+CREATE INDEX IF NOT EXISTS contact_submissions_ip_created_at_idx
+  ON contact_submissions (ip_address, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS contact_submissions_email_created_at_idx
+  ON contact_submissions (lower(email), created_at DESC);
+
+DROP POLICY IF EXISTS "Anyone can submit contact forms" ON contact_submissions;
+REVOKE INSERT ON contact_submissions FROM anon;
+
+CREATE OR REPLACE FUNCTION submit_contact(
+  p_name text,
+  p_email text,
+  p_message text,
+  p_honeypot text DEFAULT NULL,
+  p_elapsed_ms integer DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  headers json := coalesce(current_setting('request.headers', true), '{}')::json;
+  v_ip text := nullif(btrim(split_part(coalesce(headers->>'x-forwarded-for', headers->>'x-real-ip', ''), ',', 1)), '');
+  v_user_agent text := left(headers->>'user-agent', 512);
+  v_email text := btrim(p_email);
+  v_message text := btrim(p_message);
+  v_id uuid;
+BEGIN
+  -- Bots fill every field and submit instantly; pretend it worked so they move on
+  IF coalesce(p_honeypot, '') <> '' OR coalesce(p_elapsed_ms, 0) < 3000 THEN
+    RETURN NULL;
+  END IF;
+
+  IF v_ip IS NOT NULL AND (
+    SELECT count(*) FROM contact_submissions
+    WHERE ip_address = v_ip AND created_at > now() - interval '1 hour'
+  ) >= 5 THEN
+    RAISE EXCEPTION 'rate_limited' USING HINT = 'Too many submissions from this address';
+  END IF;
+
+  IF (
+    SELECT count(*) FROM contact_submissions
+    WHERE lower(email) = lower(v_email) AND created_at > now() - interval '1 hour'
+  ) >= 3 THEN
+    RAISE EXCEPTION 'rate_limited' USING HINT = 'Too many submissions from this email';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM contact_submissions
+    WHERE lower(email) = lower(v_email)
+      AND created_at > now() - interval '24 hours'
+      AND lower(btrim(message)) = lower(v_message)
+  ) THEN
+    RAISE EXCEPTION 'duplicate_submission' USING HINT = 'This message was already received';
+  END IF;
+
+  INSERT INTO contact_submissions (name, email, message, ip_address, user_agent)
+  VALUES (btrim(p_name), v_email, v_message, v_ip, v_user_agent)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION submit_contact(text, text, text, text, integer) FROM public;
+GRANT EXECUTE ON FUNCTION submit_contact(text, text, text, text, integer) TO anon, authenticated;
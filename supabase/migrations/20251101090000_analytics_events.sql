@@ -0,0 +1,111 @@
+/*
+  # Privacy-first visitor analytics
+
+  1. New Tables
+    - `analytics_events`
+      - `id` (bigint, primary key)
+      - `visit_id` (uuid, random per page load, never stored in the browser)
+      - `event` (text, one of the event names in `src/lib/analytics.js`)
+      - `target` (text, optional: section id, scroll milestone, project action or link host and path)
+      - `path` (text, the page the event happened on)
+      - `created_at` (timestamp)
+
+  2. New Functions
+    - `record_events(p_visit_id, p_events)`
+      - Inserts a batch of at most 50 events, skipping any that do not fit the table
+      - Records nothing about the request itself: no IP address, no user agent
+    - `analytics_summary(p_from, p_to)`
+      - Event and target counts with distinct visits, for the admin dashboard
+      - Page views are grouped by `path`, which is their target
+      - A final row with a null event holds the totals, including all distinct visits
+
+  3. Security
+    - Enable RLS on `analytics_events` with no anon policies; events only arrive through `record_events`
+    - Add policy for authenticated users to read events (admin access)
+    - Allow anon and authenticated users to execute `record_events`, authenticated users `analytics_summary`
+
+  4. Indexes
+    - `created_at` and `(event, created_at)` for the dashboard date ranges
+*/
+
+CREATE TABLE IF NOT EXISTS analytics_events (
+  id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  visit_id uuid NOT NULL,
+  event text NOT NULL CHECK (
+    event IN ('page_view', 'section_view', 'scroll_depth', 'project_click', 'link_click', 'contact')
+  ),
+  target text CHECK (char_length(target) <= 200),
+  path text NOT NULL CHECK (char_length(path) <= 200),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS analytics_events_created_at_idx
+  ON analytics_events (created_at DESC);
+
+CREATE INDEX IF NOT EXISTS analytics_events_event_created_at_idx
+  ON analytics_events (event, created_at DESC);
+
+ALTER TABLE analytics_events ENABLE ROW LEVEL SECURITY;
+
+-- Allow authenticated users to read events (for admin purposes)
+CREATE POLICY "Authenticated users can read analytics events"
+  ON analytics_events
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE OR REPLACE FUNCTION record_events(p_visit_id uuid, p_events jsonb)
+RETURNS integer
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count integer;
+BEGIN
+  IF p_visit_id IS NULL OR jsonb_typeof(p_events) <> 'array' THEN
+    RETURN 0;
+  END IF;
+
+  -- A malformed event is dropped on its own rather than failing the whole batch
+  INSERT INTO analytics_events (visit_id, event, target, path)
+  SELECT p_visit_id, item.event, item.target, item.path
+  FROM (
+    SELECT * FROM jsonb_to_recordset(p_events) AS x(event text, target text, path text)
+    LIMIT 50
+  ) AS item
+  WHERE item.event IN ('page_view', 'section_view', 'scroll_depth', 'project_click', 'link_click', 'contact')
+    AND item.path IS NOT NULL
+    AND char_length(item.path) <= 200
+    AND coalesce(char_length(item.target), 0) <= 200;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION record_events(uuid, jsonb) FROM public;
+GRANT EXECUTE ON FUNCTION record_events(uuid, jsonb) TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION analytics_summary(p_from timestamptz, p_to timestamptz)
+RETURNS TABLE (event text, target text, events bigint, visits bigint)
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+SET search_path = public
+AS $$
+  SELECT e.event, e.target, count(*), count(DISTINCT e.visit_id)
+  FROM (
+    SELECT
+      a.event,
+      CASE WHEN a.event = 'page_view' THEN a.path ELSE a.target END AS target,
+      a.visit_id
+    FROM analytics_events AS a
+    WHERE a.created_at >= p_from AND a.created_at < p_to
+  ) AS e
+  GROUP BY GROUPING SETS ((e.event, e.target), ())
+  ORDER BY e.event NULLS LAST, 3 DESC;
+$$;
+
+REVOKE ALL ON FUNCTION analytics_summary(timestamptz, timestamptz) FROM public;
+GRANT EXECUTE ON FUNCTION analytics_summary(timestamptz, timestamptz) TO authenticated;
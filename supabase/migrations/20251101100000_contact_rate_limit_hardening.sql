@@ -0,0 +1,82 @@
+/*
+  # Harden the contact submission rate limits
+
+  1. Changed Functions
+    - `submit_contact(p_name, p_email, p_message, p_honeypot, p_elapsed_ms)`
+      - Takes the caller's IP from the last `x-forwarded-for` entry, which the
+        platform's edge proxy appends, instead of the first, which the client controls
+      - Rejects submissions once 30 have arrived from anyone in the last hour
+        (`rate_limited`), so rotating addresses and emails cannot flood the inbox
+
+  2. Security
+    - Unchanged: anon and authenticated users may execute `submit_contact` only
+*/
+
+CREATE OR REPLACE FUNCTION submit_contact(
+  p_name text,
+  p_email text,
+  p_message text,
+  p_honeypot text DEFAULT NULL,
+  p_elapsed_ms integer DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  headers json := coalesce(current_setting('request.headers', true), '{}')::json;
+  -- The client can send any X-Forwarded-For it likes; only the last entry,
+  -- appended by the platform's edge proxy, is the address it really came from
+  v_ip text := nullif(btrim(regexp_replace(coalesce(headers->>'x-forwarded-for', headers->>'x-real-ip', ''), '^.*,', '')), '');
+  v_user_agent text := left(headers->>'user-agent', 512);
+  v_email text := btrim(p_email);
+  v_message text := btrim(p_message);
+  v_id uuid;
+BEGIN
+  -- Bots fill every field and submit instantly; pretend it worked so they move on
+  IF coalesce(p_honeypot, '') <> '' OR coalesce(p_elapsed_ms, 0) < 3000 THEN
+    RETURN NULL;
+  END IF;
+
+  -- A backstop for whatever gets past the per-address and per-email limits
+  IF (
+    SELECT count(*) FROM contact_submissions
+    WHERE created_at > now() - interval '1 hour'
+  ) >= 30 THEN
+    RAISE EXCEPTION 'rate_limited' USING HINT = 'Too many submissions right now';
+  END IF;
+
+  IF v_ip IS NOT NULL AND (
+    SELECT count(*) FROM contact_submissions
+    WHERE ip_address = v_ip AND created_at > now() - interval '1 hour'
+  ) >= 5 THEN
+    RAISE EXCEPTION 'rate_limited' USING HINT = 'Too many submissions from this address';
+  END IF;
+
+  IF (
+    SELECT count(*) FROM contact_submissions
+    WHERE lower(email) = lower(v_email) AND created_at > now() - interval '1 hour'
+  ) >= 3 THEN
+    RAISE EXCEPTION 'rate_limited' USING HINT = 'Too many submissions from this email';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM contact_submissions
+    WHERE lower(email) = lower(v_email)
+      AND created_at > now() - interval '24 hours'
+      AND lower(btrim(message)) = lower(v_message)
+  ) THEN
+    RAISE EXCEPTION 'duplicate_submission' USING HINT = 'This message was already received';
+  END IF;
+
+  INSERT INTO contact_submissions (name, email, message, ip_address, user_agent)
+  VALUES (btrim(p_name), v_email, v_message, v_ip, v_user_agent)
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$;
+
+REVOKE ALL ON FUNCTION submit_contact(text, text, text, text, integer) FROM public;
+GRANT EXECUTE ON FUNCTION submit_contact(text, text, text, text, integer) TO anon, authenticated;
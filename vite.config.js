@@ -1,7 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+import content from './plugins/content/index.js'
+import models from './plugins/models/index.js'
+import blog from './plugins/blog/index.js'
+import prerender from './plugins/prerender/index.js'
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), content(), models(), blog(), prerender()],
 })